@@ -1,5 +1,8 @@
 //! As server is also an event emitter. that means, it also has 'on' method.
 const http = require( 'http' );
+//! /healthz, /readyz and graceful shutdown, shared by every server in this repository
+const { probe } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/health' );
+const { handleShutdown } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/shutdown' );
 
 //! create server
 const server = http.createServer();
@@ -9,6 +12,12 @@ server.on( 'connection', () => {
     console.log( 'New connection' );
 } ); //! whenever someone hits this server, this event will keep on raising. and on console we will see 'New connection' again and again. Though in real world, we will not event listen for connection event.
 
+//! 'request' is raised for every request. probe answers GET /healthz and /readyz, and nothing else
+server.on( 'request', probe );
+
 server.listen( 3000 ); //! when we listen to the server, basically event loop gets started. we can think event loop as a while loop that keeps on running.
 
-console.log( 'Server is running on port 3000' );
\ No newline at end of file
+console.log( 'Server is running on port 3000' );
+
+//! SIGTERM / SIGINT ( Ctrl+C ): stop accepting connections and give the open requests 10 seconds to finish
+handleShutdown( server );
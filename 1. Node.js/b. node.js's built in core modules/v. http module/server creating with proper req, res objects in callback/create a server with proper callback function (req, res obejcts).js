@@ -1,7 +1,15 @@
 const http = require( 'http' );
+//! /healthz, /readyz and graceful shutdown, shared by every server in this repository
+const { probe } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/health' );
+const { handleShutdown } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/shutdown' );
 
 //! create server
-const server = http.createServer( ( req, res ) => { //! req and res are the request and response objects
+const server = http.createServer( async ( req, res ) => { //! req and res are the request and response objects
+    //! GET /healthz and /readyz are answered by probe, so we stop here
+    if ( await probe( req, res ) ) {
+        return;
+    }
+
     res.write( 'Hello Programmers!' ); //! in response we will get -> Hello Programmers!
     res.write( 'How are you all?!' ); //! in response we will get -> How are you all?!
     res.end(); //! finally we have to end the response. 'end' is a method of response object
@@ -9,4 +17,7 @@ const server = http.createServer( ( req, res ) => { //! req and res are the requ
 
 server.listen( 3000 );
 
-console.log( 'Server is running on port 3000' );
\ No newline at end of file
+console.log( 'Server is running on port 3000' );
+
+//! SIGTERM / SIGINT ( Ctrl+C ): stop accepting connections and give the open requests 10 seconds to finish
+handleShutdown( server );
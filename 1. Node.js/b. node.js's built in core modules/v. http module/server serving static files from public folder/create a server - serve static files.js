@@ -0,0 +1,127 @@
+//! Until now our servers answered with HTML strings written inside the code. A real website has files: .html, .css, images, videos. Here the server reads them from the 'public' folder and sends them as they are.
+const http = require( 'http' );
+const fs = require( 'fs' );
+const path = require( 'path' );
+//! /healthz, /readyz and graceful shutdown, shared by every server in this repository
+const { probe, registerCheck } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/health' );
+const { handleShutdown } = require( '../../../e. shared modules - dual commonjs + esm package/cjs/shutdown' );
+
+const publicDir = path.join( __dirname, 'public' );
+
+//! the browser needs Content-Type to know what it got. We pick it from the file extension
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.pdf': 'application/pdf',
+};
+
+const sendStatus = ( res, statusCode, headers = {} ) => {
+    res.writeHead( statusCode, { 'Content-Type': 'text/plain', ...headers } );
+    res.end( http.STATUS_CODES[ statusCode ] );
+};
+
+const server = http.createServer( async ( req, res ) => {
+    if ( await probe( req, res ) ) {
+        return;
+    }
+
+    if ( req.method !== 'GET' && req.method !== 'HEAD' ) {
+        return sendStatus( res, 405, { 'Allow': 'GET, HEAD' } );
+    }
+
+    //! '/' means index.html. The query string (?v=2) is not part of the file name
+    let urlPath;
+
+    try {
+        urlPath = decodeURIComponent( new URL( req.url, 'http://localhost' ).pathname );
+    } catch {
+        return sendStatus( res, 400 );
+    }
+
+    const filePath = path.join( publicDir, urlPath === '/' ? 'index.html' : urlPath );
+
+    //! path traversal: '/../app.js' must never leave the public folder, or anyone could read our code and secrets
+    if ( !filePath.startsWith( publicDir + path.sep ) ) {
+        return sendStatus( res, 403 );
+    }
+
+    const stats = await fs.promises.stat( filePath ).catch( () => null );
+
+    if ( !stats || !stats.isFile() ) {
+        return sendStatus( res, 404 );
+    }
+
+    //! ETag and Last-Modified let the browser cache the file. Next time it asks "has it changed?" (If-None-Match / If-Modified-Since)
+    const etag = `"${ stats.size }-${ Math.floor( stats.mtimeMs ) }"`;
+    const lastModified = stats.mtime.toUTCString();
+
+    res.setHeader( 'ETag', etag );
+    res.setHeader( 'Last-Modified', lastModified );
+    res.setHeader( 'Accept-Ranges', 'bytes' );
+
+    const notModified = req.headers[ 'if-none-match' ]
+        ? req.headers[ 'if-none-match' ] === etag
+        : req.headers[ 'if-modified-since' ] === lastModified;
+
+    if ( notModified ) {
+        res.writeHead( 304 ); //! 304 = "use the copy you already have", no body is sent
+        return res.end();
+    }
+
+    res.setHeader( 'Content-Type', mimeTypes[ path.extname( filePath ).toLowerCase() ] || 'application/octet-stream' );
+
+    //! Range: bytes=1000-1999 asks for a part of the file. Video players use it to jump to the middle of a video
+    let start = 0;
+    let end = stats.size - 1;
+    const range = /^bytes=(\d*)-(\d*)$/.exec( req.headers.range || '' );
+
+    if ( range && ( range[ 1 ] || range[ 2 ] ) ) {
+        if ( range[ 1 ] === '' ) {
+            start = Math.max( stats.size - Number( range[ 2 ] ), 0 ); //! bytes=-500 -> the last 500 bytes
+        } else {
+            start = Number( range[ 1 ] );
+            end = range[ 2 ] === '' ? end : Math.min( Number( range[ 2 ] ), end );
+        }
+
+        if ( start > end || start >= stats.size ) {
+            return sendStatus( res, 416, { 'Content-Range': `bytes */${ stats.size }` } );
+        }
+
+        res.writeHead( 206, { 'Content-Range': `bytes ${ start }-${ end }/${ stats.size }`, 'Content-Length': end - start + 1 } );
+    } else {
+        res.writeHead( 200, { 'Content-Length': stats.size } );
+    }
+
+    if ( req.method === 'HEAD' ) {
+        return res.end();
+    }
+
+    //! createReadStream sends the file piece by piece. fs.readFile would load a 2 GB video into memory at once
+    const stream = fs.createReadStream( filePath, { start, end } );
+
+    stream.on( 'error', ( error ) => {
+        console.error( error );
+        res.destroy();
+    } );
+
+    stream.pipe( res );
+} );
+
+//! /readyz is 503 while the public folder cannot be read
+registerCheck( 'publicDir', () => fs.promises.access( publicDir, fs.constants.R_OK ) );
+
+server.listen( 3000 );
+
+console.log( 'Server is running on port 3000' );
+
+//! SIGTERM / SIGINT ( Ctrl+C ): stop accepting connections and let the files that are being sent finish
+handleShutdown( server );
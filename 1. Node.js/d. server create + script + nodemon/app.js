@@ -1,73 +1,67 @@
 import http from 'http';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { Router, json, sendHtml, sendJson } from './router.js';
+import { serveStatic } from './static.js';
+// Health and shutdown are shared by every server in the repository, see '../e. shared modules - dual commonjs + esm package'
+import { liveness, readiness, registerCheck } from '../e. shared modules - dual commonjs + esm package/esm/health.mjs';
+import { handleShutdown } from '../e. shared modules - dual commonjs + esm package/esm/shutdown.mjs';
 
 const PORT = process.env.PORT;
 
-const app = http.createServer( ( req, res ) => {
-    // res.setHeader( 'Content-Type', 'text/html' );
-    // res.statusCode = 404;
-
-    // res.writeHead( 200, { 'Content-Type': 'text/html' } );
-    // res.end( "<h1>Hello World!</h1>" );
-
-    // console.log( req.url );
-    // console.log( req.method );
-    // console.log( req.headers );
-
-    // if ( req.url === '/' ) {
-    //     res.writeHead( 200, { 'Content-Type': 'text/html' } );
-    //     res.end( "<h1>Hello World!</h1>" );
-    //     console.log( req.url );
-    //     console.log( req.method );
-    //     console.log( req.headers );
-    // }
-    // else if ( req.url === '/about' ) {
-    //     res.writeHead( 200, { 'Content-Type': 'text/html' } );
-    //     res.end( "<h1>About Us</h1>" );
-    //     console.log( req.url, req.method, req.headers );
-
-    //     console.log( req.url );
-    //     console.log( req.method );
-    //     console.log( req.headers );
-    // }
-    // else {
-    //     res.writeHead( 404, { 'Content-Type': 'text/html' } );
-    //     res.end( "<h1>404 - Page Not Found</h1>" );
-    // }
-
-    try {
-        if ( req.method === 'GET' ) {
-            if ( req.url === '/' ) {
-                res.writeHead( 200, { 'Content-Type': 'text/html' } );
-                res.end( "<h1>Hello World!</h1>" );
-                console.log( req.url );
-                console.log( req.method );
-                console.log( req.headers );
-            }
-            else if ( req.url === '/about' ) {
-                res.writeHead( 200, { 'Content-Type': 'text/html' } );
-                res.end( "<h1>About Us</h1>" );
-                console.log( req.url, req.method, req.headers );
-
-                console.log( req.url );
-                console.log( req.method );
-                console.log( req.headers );
-            }
-            else {
-                res.writeHead( 404, { 'Content-Type': 'text/html' } );
-                res.end( "<h1>404 - Page Not Found</h1>" );
-            }
-        }
-        else {
-            res.writeHead( 405, { 'Content-Type': 'text/html' } );
-            res.end( "<h1>405 - Method Not Allowed</h1>" );
-        }
-    } catch ( error ) {
-        console.error( error );
-        res.writeHead( 500, { 'Content-Type': 'text/html' } );
-        res.end( "<h1>Internal Server Error</h1>" );
-    }
+const publicDir = fileURLToPath( new URL( './public', import.meta.url ) );
+
+const router = new Router();
+
+// One line per request, instead of logging the headers in every route
+router.use( ( req, res, next ) => {
+    console.log( req.method, req.url, req.headers[ 'user-agent' ] );
+    return next();
+} );
+
+router.use( json() );
+
+// /style.css -> public/style.css. Paths that are not files in public/ fall through to the routes below
+router.use( serveStatic( publicDir ) );
+
+router.get( '/', ( req, res ) => {
+    sendHtml( res, 200, "<h1>Hello World!</h1>" );
 } );
 
+router.get( '/about', ( req, res ) => {
+    sendHtml( res, 200, "<h1>About Us</h1>" );
+} );
+
+// Liveness and readiness, for a process manager or load balancer
+router.get( '/healthz', ( req, res ) => {
+    res.setHeader( 'Cache-Control', 'no-store' );
+    sendJson( res, 200, liveness() );
+} );
+
+router.get( '/readyz', async ( req, res ) => {
+    const { ready, ...result } = await readiness();
+
+    res.setHeader( 'Cache-Control', 'no-store' );
+    sendJson( res, ready ? 200 : 503, result );
+} );
+
+registerCheck( 'publicDir', () => fs.access( publicDir, fs.constants.R_OK ) );
+
+// /users/7?fields=name -> { id: '7', query: { fields: 'name' } }
+router.get( '/users/:id', ( req, res ) => {
+    sendJson( res, 200, { id: req.params.id, query: req.query } );
+} );
+
+// JSON body, parsed by json()
+router.post( '/echo', ( req, res ) => {
+    sendJson( res, 200, { received: req.body } );
+} );
+
+const app = http.createServer( router.handle );
+
 app.listen( PORT, () => {
     console.log( `Server is running on port ${ PORT }` );
-} );
\ No newline at end of file
+} );
+
+// SIGTERM / SIGINT: stop accepting connections and let the open requests finish
+handleShutdown( app );
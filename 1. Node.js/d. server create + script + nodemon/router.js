@@ -0,0 +1,257 @@
+import http from 'http';
+
+// A small router for the plain http server, using Node core modules only.
+//
+//   const router = new Router();
+//   router.use( logRequests );
+//   router.get( '/users/:id', ( req, res ) => sendJson( res, 200, { id: req.params.id } ) );
+//   http.createServer( router.handle ).listen( PORT );
+//
+// Handlers and middlewares get ( req, res, next ), like in Express. They may be async:
+// a thrown error (or a rejected promise) ends up in the error response, with error.status if it has one.
+
+// '/users/:id' -> /^\/users\/([^/]+)\/?$/ and [ 'id' ]
+const compilePath = ( path ) => {
+    const keys = [];
+    const pattern = path
+        .split( '/' )
+        .map( ( segment ) => {
+            if ( segment.startsWith( ':' ) ) {
+                keys.push( segment.slice( 1 ) );
+                return '([^/]+)';
+            }
+
+            return segment.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+        } )
+        .join( '/' );
+
+    return { regex: new RegExp( `^${ pattern }/?$` ), keys };
+};
+
+const decode = ( value ) => {
+    try {
+        return decodeURIComponent( value );
+    } catch {
+        throw new HttpError( 400, `Malformed URL segment: ${ value }` );
+    }
+};
+
+// ?tag=a&tag=b&page=2 -> { tag: [ 'a', 'b' ], page: '2' }
+const parseQuery = ( searchParams ) => {
+    const query = {};
+
+    for ( const key of new Set( searchParams.keys() ) ) {
+        const values = searchParams.getAll( key );
+        query[ key ] = values.length > 1 ? values : values[ 0 ];
+    }
+
+    return query;
+};
+
+export const sendJson = ( res, status, body ) => {
+    res.writeHead( status, { 'Content-Type': 'application/json' } );
+    res.end( JSON.stringify( body ) );
+};
+
+export const sendHtml = ( res, status, html ) => {
+    res.writeHead( status, { 'Content-Type': 'text/html' } );
+    res.end( html );
+};
+
+// An error with an HTTP status, e.g. throw new HttpError( 400, 'Invalid JSON' )
+export class HttpError extends Error {
+    constructor( status, message = http.STATUS_CODES[ status ] ) {
+        super( message );
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Middleware that reads a JSON body into req.body. Other content types are left alone
+export const json = ( { limit = 100 * 1024 } = {} ) => async ( req, res, next ) => {
+    if ( !req.headers[ 'content-type' ]?.startsWith( 'application/json' ) ) {
+        return next();
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    for await ( const chunk of req ) {
+        size += chunk.length;
+
+        if ( size > limit ) {
+            throw new HttpError( 413, `Body is larger than ${ limit } bytes` );
+        }
+
+        chunks.push( chunk );
+    }
+
+    const raw = Buffer.concat( chunks ).toString( 'utf8' );
+
+    try {
+        req.body = raw === '' ? {} : JSON.parse( raw );
+    } catch {
+        throw new HttpError( 400, 'Body is not valid JSON' );
+    }
+
+    return next();
+};
+
+export class Router {
+    constructor() {
+        this.middlewares = [];
+        this.routes = [];
+
+        // bound, so it can be passed straight to http.createServer()
+        this.handle = this.handle.bind( this );
+    }
+
+    use( ...handlers ) {
+        this.middlewares.push( ...handlers );
+        return this;
+    }
+
+    route( method, path, ...handlers ) {
+        this.routes.push( { method, path, ...compilePath( path ), handlers } );
+        return this;
+    }
+
+    get( path, ...handlers ) {
+        return this.route( 'GET', path, ...handlers );
+    }
+
+    post( path, ...handlers ) {
+        return this.route( 'POST', path, ...handlers );
+    }
+
+    put( path, ...handlers ) {
+        return this.route( 'PUT', path, ...handlers );
+    }
+
+    patch( path, ...handlers ) {
+        return this.route( 'PATCH', path, ...handlers );
+    }
+
+    delete( path, ...handlers ) {
+        return this.route( 'DELETE', path, ...handlers );
+    }
+
+    // The route for this method and path, with its params still URL-encoded, and the methods the path does support (for 405)
+    match( method, path ) {
+        const allowed = new Set();
+
+        for ( const route of this.routes ) {
+            const found = route.regex.exec( path );
+
+            if ( !found ) {
+                continue;
+            }
+
+            // HEAD is answered by the GET route, http leaves out the body by itself
+            if ( route.method === method || ( method === 'HEAD' && route.method === 'GET' ) ) {
+                const params = Object.fromEntries( route.keys.map( ( key, index ) => [ key, found[ index + 1 ] ] ) );
+
+                return { route, params };
+            }
+
+            allowed.add( route.method );
+
+            if ( route.method === 'GET' ) {
+                allowed.add( 'HEAD' );
+            }
+        }
+
+        return { allowed: [ ...allowed ] };
+    }
+
+    async handle( req, res ) {
+        try {
+            const url = new URL( req.url, 'http://localhost' );
+
+            req.path = url.pathname;
+            req.query = parseQuery( url.searchParams );
+            req.params = {};
+
+            const { route, params, allowed } = this.match( req.method, req.path );
+            let handlers;
+
+            if ( route ) {
+                // decoded after the middlewares, so a bad %-sequence is logged like any request before its 400
+                const decodeParams = ( req, res, next ) => {
+                    req.params = Object.fromEntries( Object.entries( params ).map( ( [ key, value ] ) => [ key, decode( value ) ] ) );
+                    return next();
+                };
+
+                handlers = [ ...this.middlewares, decodeParams, ...route.handlers ];
+            } else if ( allowed.length ) {
+                handlers = [ ...this.middlewares, () => {
+                    res.setHeader( 'Allow', allowed.join( ', ' ) );
+
+                    if ( req.method === 'OPTIONS' ) {
+                        res.writeHead( 204 );
+                        return res.end();
+                    }
+
+                    throw new HttpError( 405, `${ req.method } is not allowed on ${ req.path }` );
+                } ];
+            } else {
+                handlers = [ ...this.middlewares, () => {
+                    throw new HttpError( 404, `${ req.path } was not found` );
+                } ];
+            }
+
+            await this.run( handlers, req, res );
+        } catch ( error ) {
+            this.handleError( error, req, res );
+        }
+    }
+
+    // Calls each handler in turn, like Koa. A handler that does not call next() ends the chain.
+    // next() returns the promise of the rest of the chain and run() waits for it even when the
+    // middleware did not return or await it, so errors further down always reach handleError
+    async run( handlers, req, res ) {
+        const dispatch = async ( index ) => {
+            const handler = handlers[ index ];
+            let downstream;
+
+            if ( !handler ) {
+                return;
+            }
+
+            const next = ( error ) => {
+                if ( !downstream ) {
+                    downstream = error ? Promise.reject( error ) : dispatch( index + 1 );
+
+                    // handled below, Node must not report it as unhandled in the meantime
+                    downstream.catch( () => {} );
+                }
+
+                return downstream;
+            };
+
+            await handler( req, res, next );
+            await downstream;
+        };
+
+        await dispatch( 0 );
+    }
+
+    handleError( error, req, res ) {
+        const status = error.status || 500;
+
+        if ( status >= 500 ) {
+            console.error( error );
+        }
+
+        if ( res.headersSent ) {
+            return res.destroy();
+        }
+
+        // a 500 does not tell the client what went wrong inside
+        sendJson( res, status, {
+            status,
+            error: http.STATUS_CODES[ status ],
+            message: status >= 500 ? http.STATUS_CODES[ status ] : error.message,
+        } );
+    }
+}
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './router.js';
+
+// Serves the files of one directory, for GET and HEAD:
+//   router.use( serveStatic( fileURLToPath( new URL( './public', import.meta.url ) ) ) );
+//
+// - Content-Type from the file extension
+// - ETag and Last-Modified, and 304 Not Modified for If-None-Match / If-Modified-Since
+// - Range requests (206 Partial Content), e.g. for seeking in a video
+// - Files are streamed with fs.createReadStream, never read into memory
+// Anything that is not a file in the directory goes on to the next handler (usually the 404).
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm',
+};
+
+// Size and modification time change whenever the file does, so they make a cheap ETag
+const etagOf = ( stats ) => `W/"${ stats.size.toString( 16 ) }-${ Math.floor( stats.mtimeMs ).toString( 16 ) }"`;
+
+// If-None-Match: W/"a-b", W/"c-d" (or *). Weak comparison, as the spec says for GET
+const matchesEtag = ( header, etag ) => header
+    .split( ',' )
+    .map( ( tag ) => tag.trim().replace( /^W\//, '' ) )
+    .some( ( tag ) => tag === '*' || tag === etag.replace( /^W\//, '' ) );
+
+// HTTP dates only have seconds
+const notModifiedSince = ( header, stats ) => {
+    const since = Date.parse( header );
+
+    return !Number.isNaN( since ) && Math.floor( stats.mtimeMs / 1000 ) * 1000 <= since;
+};
+
+const isFresh = ( req, stats, etag ) => {
+    const ifNoneMatch = req.headers[ 'if-none-match' ];
+
+    // If-None-Match wins when both are sent
+    if ( ifNoneMatch ) {
+        return matchesEtag( ifNoneMatch, etag );
+    }
+
+    const ifModifiedSince = req.headers[ 'if-modified-since' ];
+
+    return Boolean( ifModifiedSince ) && notModifiedSince( ifModifiedSince, stats );
+};
+
+// 'bytes=0-499', 'bytes=500-' or 'bytes=-500' -> { start, end }. Returns null for a range that
+// cannot be served (416), and undefined when the whole file should be sent instead
+const parseRange = ( header, size ) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec( header.trim() );
+
+    // several ranges (bytes=0-1,5-6) or another unit: answering with the whole file is allowed
+    if ( !match || ( match[ 1 ] === '' && match[ 2 ] === '' ) ) {
+        return undefined;
+    }
+
+    let start;
+    let end;
+
+    if ( match[ 1 ] === '' ) {
+        // the last N bytes
+        start = Math.max( size - Number( match[ 2 ] ), 0 );
+        end = size - 1;
+    } else {
+        start = Number( match[ 1 ] );
+        end = match[ 2 ] === '' ? size - 1 : Math.min( Number( match[ 2 ] ), size - 1 );
+    }
+
+    if ( start > end || start >= size ) {
+        return null;
+    }
+
+    return { start, end };
+};
+
+// resolves '/css/../index.html' inside root, and refuses anything that ends up outside it
+const resolveInside = ( root, urlPath ) => {
+    let decoded;
+
+    try {
+        decoded = decodeURIComponent( urlPath );
+    } catch {
+        throw new HttpError( 400, 'Malformed URL' );
+    }
+
+    if ( decoded.includes( '\0' ) ) {
+        throw new HttpError( 400, 'Malformed URL' );
+    }
+
+    const filePath = path.join( root, decoded );
+
+    if ( filePath !== root && !filePath.startsWith( root + path.sep ) ) {
+        throw new HttpError( 403, 'Forbidden' );
+    }
+
+    return filePath;
+};
+
+export const serveStatic = ( root, { maxAge = 0 } = {} ) => {
+    root = path.resolve( root );
+
+    return async ( req, res, next ) => {
+        if ( req.method !== 'GET' && req.method !== 'HEAD' ) {
+            return next();
+        }
+
+        const filePath = resolveInside( root, req.path );
+
+        // dotfiles (.env, .git) are never served
+        if ( path.relative( root, filePath ).split( path.sep ).some( ( segment ) => segment.startsWith( '.' ) ) ) {
+            return next();
+        }
+
+        const stats = await fs.stat( filePath ).catch( () => null );
+
+        // directories are not listed
+        if ( !stats || !stats.isFile() ) {
+            return next();
+        }
+
+        const etag = etagOf( stats );
+
+        res.setHeader( 'ETag', etag );
+        res.setHeader( 'Last-Modified', stats.mtime.toUTCString() );
+        res.setHeader( 'Cache-Control', `public, max-age=${ maxAge }` );
+        res.setHeader( 'Accept-Ranges', 'bytes' );
+
+        if ( isFresh( req, stats, etag ) ) {
+            res.writeHead( 304 );
+            return res.end();
+        }
+
+        res.setHeader( 'Content-Type', MIME_TYPES[ path.extname( filePath ).toLowerCase() ] || 'application/octet-stream' );
+
+        // If-Range: only send the range if the file is still the one the client has part of. An ETag there
+        // needs the strong comparison and ours is weak, so it never matches: only the date can, else it is a 200
+        const ifRange = req.headers[ 'if-range' ];
+        const rangeStillValid = !ifRange || ifRange === stats.mtime.toUTCString();
+        const range = req.headers.range && rangeStillValid ? parseRange( req.headers.range, stats.size ) : undefined;
+
+        if ( range === null ) {
+            res.writeHead( 416, { 'Content-Range': `bytes */${ stats.size }` } );
+            return res.end();
+        }
+
+        if ( range ) {
+            res.writeHead( 206, {
+                'Content-Range': `bytes ${ range.start }-${ range.end }/${ stats.size }`,
+                'Content-Length': range.end - range.start + 1,
+            } );
+        } else {
+            res.writeHead( 200, { 'Content-Length': stats.size } );
+        }
+
+        if ( req.method === 'HEAD' ) {
+            return res.end();
+        }
+
+        // the headers are already sent, so a read error can only cut the response short
+        await pipeline( createReadStream( filePath, range ), res ).catch( ( error ) => {
+            if ( error.code !== 'ERR_STREAM_PREMATURE_CLOSE' ) {
+                console.error( `Error streaming ${ filePath }:`, error );
+            }
+        } );
+    };
+};
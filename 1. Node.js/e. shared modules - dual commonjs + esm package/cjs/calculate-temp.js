@@ -0,0 +1,13 @@
+//! The code lives once, here, in CommonJS. esm/calculate-temp.mjs only re-exports it, so both ways of loading get the very same functions
+function calculateCelsiusToFahrenheit ( celsius ) {
+    return ( celsius * ( 9 / 5 ) ) + 32;
+}
+
+function calculateFahrenheitToCelsius ( fahrenheit ) {
+    return ( fahrenheit - 32 ) * ( 5 / 9 );
+}
+
+module.exports = {
+    calculateCelsiusToFahrenheit,
+    calculateFahrenheitToCelsius
+};
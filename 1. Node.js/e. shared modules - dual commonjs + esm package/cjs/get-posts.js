@@ -0,0 +1,26 @@
+//! get-posts.js in 'c. common vs module importing' uses 'export { ... }', which require() cannot load ( before Node.js 22 ). Written in CommonJS, it can be loaded both ways
+const posts = [
+    {
+        id: 1,
+        title: "Hey!",
+        body: "Hi!"
+    },
+    {
+        id: 2,
+        title: "Hey there!",
+        body: "Hi, how are you?"
+    }
+];
+
+const getPosts = () => {
+    return posts;
+};
+
+const getPostsLength = () => {
+    return posts.length;
+};
+
+module.exports = {
+    getPosts,
+    getPostsLength
+};
@@ -0,0 +1,122 @@
+const { monitorEventLoopDelay } = require( "perf_hooks" );
+
+//! Liveness and readiness for /healthz and /readyz, used by every server in this repository.
+//! Liveness: the process is up and the event loop is not stuck. Readiness: the dependencies work
+//! and the server is not shutting down, so a load balancer can send it traffic.
+
+const CHECK_TIMEOUT = 2000;
+const LAG_WINDOW = 60 * 1000;
+const RESOLUTION = 20;
+
+//! How much later than planned timers fire, i.e. how long the event loop was blocked. Values are in ns
+const loopDelay = monitorEventLoopDelay( { resolution: RESOLUTION } );
+loopDelay.enable();
+
+//! only the last minute counts, an old spike should not show forever
+setInterval( () => loopDelay.reset(), LAG_WINDOW ).unref();
+
+const checks = new Map();
+let shuttingDown = false;
+
+//! the histogram measures the whole timer interval, only what comes on top of it is lag
+const toMs = ( ns ) => Math.round( Math.max( 0, ns / 1e6 - RESOLUTION ) * 100 ) / 100;
+
+//! A check is an async function that throws when the dependency does not work
+exports.registerCheck = ( name, check ) => {
+    checks.set( name, check );
+};
+
+//! readyz fails from now on, see shutdown.js
+exports.setShuttingDown = () => {
+    shuttingDown = true;
+};
+
+exports.eventLoopLag = () => ( {
+    meanMs: toMs( loopDelay.mean || 0 ),
+    p99Ms: toMs( loopDelay.percentile( 99 ) ),
+    maxMs: toMs( loopDelay.max ),
+} );
+
+exports.liveness = () => {
+    const memory = process.memoryUsage();
+
+    return {
+        status: "ok",
+        uptimeSeconds: Math.round( process.uptime() ),
+        memory: {
+            rssBytes: memory.rss,
+            heapUsedBytes: memory.heapUsed,
+            heapTotalBytes: memory.heapTotal,
+            externalBytes: memory.external,
+        },
+        eventLoopLag: exports.eventLoopLag(),
+    };
+};
+
+const runCheck = async ( check ) => {
+    const started = Date.now();
+    let timer;
+
+    const timeout = new Promise( ( resolve, reject ) => {
+        timer = setTimeout( () => reject( new Error( `Timed out after ${ CHECK_TIMEOUT } ms` ) ), CHECK_TIMEOUT );
+    } );
+
+    try {
+        await Promise.race( [ check(), timeout ] );
+
+        return { status: "ok", durationMs: Date.now() - started };
+    } catch ( error ) {
+        return { status: "error", durationMs: Date.now() - started, error: error.message };
+    } finally {
+        clearTimeout( timer );
+    }
+};
+
+//! Runs every check at the same time. ready is false if one fails or the server is shutting down
+exports.readiness = async () => {
+    if ( shuttingDown ) {
+        return { ready: false, status: "shutting_down", checks: {} };
+    }
+
+    const names = [ ...checks.keys() ];
+    const results = await Promise.all( names.map( ( name ) => runCheck( checks.get( name ) ) ) );
+    const ready = results.every( ( result ) => result.status === "ok" );
+
+    return {
+        ready,
+        status: ready ? "ok" : "error",
+        checks: Object.fromEntries( names.map( ( name, index ) => [ name, results[ index ] ] ) ),
+    };
+};
+
+//! Answers GET ( or HEAD ) /healthz and /readyz. Works on a plain http server and in Express, whose res is the same http.ServerResponse.
+//! Resolves with false for every other request, which the caller then handles itself
+exports.probe = async ( req, res ) => {
+    const { pathname } = new URL( req.url, "http://localhost" );
+
+    if ( ( req.method !== "GET" && req.method !== "HEAD" ) || ( pathname !== "/healthz" && pathname !== "/readyz" ) ) {
+        return false;
+    }
+
+    let status = 200;
+    let body;
+
+    if ( pathname === "/healthz" ) {
+        body = exports.liveness();
+    } else {
+        const { ready, ...result } = await exports.readiness();
+
+        status = ready ? 200 : 503;
+        body = result;
+    }
+
+    res.writeHead( status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" } );
+    res.end( req.method === "HEAD" ? undefined : JSON.stringify( body ) );
+
+    return true;
+};
+
+//! probe() as Express middleware -> app.use( probes ), before the routes
+exports.probes = ( req, res, next ) => {
+    exports.probe( req, res ).then( ( answered ) => answered || next(), next );
+};
@@ -0,0 +1,6 @@
+//! require( "@learn-node/shared" ) -> everything at once
+module.exports = {
+    ...require( "./calculate-temp" ),
+    ...require( "./people" ),
+    ...require( "./get-posts" )
+};
@@ -0,0 +1,2 @@
+//! people.js is written in 'a. global object', so the package re-exports that file instead of keeping a copy of it
+module.exports = require( "../../a. global object/people.js" );
@@ -0,0 +1,57 @@
+const { setShuttingDown } = require( "./health" );
+
+//! Stops the server on SIGTERM / SIGINT without dropping requests:
+//! /readyz starts failing, no new connections are accepted, open requests get timeoutMs to finish,
+//! then the cleanup functions run ( in order ) and the process exits.
+//! A second signal exits at once.
+//! logger is anything with info / warn / error, console by default
+const handleShutdown = ( server, { timeoutMs = 10 * 1000, cleanup = [], logger = console } = {} ) => {
+    let stopping = false;
+
+    const shutdown = async ( signal ) => {
+        if ( stopping ) {
+            logger.info( `${ signal } received again, exiting now` );
+            process.exit( 1 );
+        }
+
+        stopping = true;
+        logger.info( `${ signal } received, shutting down` );
+        setShuttingDown();
+
+        const closed = new Promise( ( resolve ) => server.close( () => resolve( false ) ) );
+
+        //! keep-alive connections with no request in flight would keep close() waiting
+        server.closeIdleConnections();
+
+        let timer;
+        const timedOut = new Promise( ( resolve ) => {
+            timer = setTimeout( () => resolve( true ), timeoutMs );
+        } );
+
+        const forced = await Promise.race( [ closed, timedOut ] );
+        clearTimeout( timer );
+
+        if ( forced ) {
+            logger.warn( `Requests still open after ${ timeoutMs } ms, closing them` );
+            server.closeAllConnections();
+        }
+
+        for ( const fn of cleanup ) {
+            try {
+                await fn();
+            } catch ( error ) {
+                logger.error( "Error during shutdown:", error );
+            }
+        }
+
+        logger.info( "Shutdown complete" );
+        process.exit( forced ? 1 : 0 );
+    };
+
+    process.on( "SIGTERM", shutdown );
+    process.on( "SIGINT", shutdown );
+};
+
+module.exports = {
+    handleShutdown
+};
@@ -0,0 +1,3 @@
+//! import of a CommonJS file: Node.js finds the names in 'module.exports = { ... }', so they can be imported by name
+//! Re-exporting instead of copying the code means there is only one copy of every function and every array ( no "dual package hazard" )
+export { calculateCelsiusToFahrenheit, calculateFahrenheitToCelsius } from "../cjs/calculate-temp.js";
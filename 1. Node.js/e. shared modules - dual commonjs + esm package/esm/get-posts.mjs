@@ -0,0 +1 @@
+export { getPosts, getPostsLength } from "../cjs/get-posts.js";
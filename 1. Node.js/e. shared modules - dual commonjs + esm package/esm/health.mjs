@@ -0,0 +1 @@
+export { registerCheck, setShuttingDown, eventLoopLag, liveness, readiness, probe, probes } from "../cjs/health.js";
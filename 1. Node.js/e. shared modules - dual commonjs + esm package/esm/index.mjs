@@ -0,0 +1,4 @@
+//! import { getPosts, people } from "@learn-node/shared" -> everything at once
+export * from "./calculate-temp.mjs";
+export * from "./people.mjs";
+export * from "./get-posts.mjs";
@@ -0,0 +1 @@
+export { people, a, testFunction } from "../cjs/people.js";
@@ -0,0 +1 @@
+export { handleShutdown } from "../cjs/shutdown.js";
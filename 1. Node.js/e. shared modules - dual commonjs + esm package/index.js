@@ -0,0 +1,9 @@
+//! A CommonJS consumer. 'require' picks the "require" entry of the 'exports' map in package.json -> cjs/get-posts.js
+const { calculateCelsiusToFahrenheit } = require( "@learn-node/shared/calculate-temp" );
+const { getPosts, getPostsLength } = require( "@learn-node/shared/get-posts" );
+const { people } = require( "@learn-node/shared/people" );
+
+console.log( `Calculated temperature in Fahrenheit : ${ calculateCelsiusToFahrenheit( 0 ) } degree` );
+console.log( "Posts are : ", getPosts() );
+console.log( `Posts length is : ${ getPostsLength() }` );
+console.log( people );
@@ -0,0 +1,9 @@
+//! An ES module consumer. 'import' picks the "import" entry of the 'exports' map in package.json -> esm/get-posts.mjs
+import { calculateFahrenheitToCelsius } from "@learn-node/shared/calculate-temp";
+import { getPosts, getPostsLength } from "@learn-node/shared/get-posts";
+import { people } from "@learn-node/shared";
+
+console.log( `Calculated temperature in Celsius : ${ calculateFahrenheitToCelsius( 32 ) } degree` );
+console.log( "Posts are : ", getPosts() );
+console.log( `Posts length is : ${ getPostsLength() }` );
+console.log( people );
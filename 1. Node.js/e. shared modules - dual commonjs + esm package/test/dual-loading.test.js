@@ -0,0 +1,101 @@
+const test = require( "node:test" );
+const assert = require( "node:assert/strict" );
+
+//! Every module is loaded through the package name, so the 'exports' map in package.json is what gets tested ( a package can import itself by its own name )
+const modules = {
+    "@learn-node/shared/calculate-temp": [ "calculateCelsiusToFahrenheit", "calculateFahrenheitToCelsius" ],
+    "@learn-node/shared/people": [ "a", "people", "testFunction" ],
+    "@learn-node/shared/get-posts": [ "getPosts", "getPostsLength" ],
+};
+
+modules[ "@learn-node/shared" ] = Object.values( modules ).flat();
+
+//! the server modules are not in "." : loading the package for getPosts should not start the event-loop monitor
+modules[ "@learn-node/shared/health" ] = [ "eventLoopLag", "liveness", "probe", "probes", "readiness", "registerCheck", "setShuttingDown" ];
+modules[ "@learn-node/shared/shutdown" ] = [ "handleShutdown" ];
+
+for ( const [ specifier, names ] of Object.entries( modules ) ) {
+    test( `${ specifier } loads with require() and import`, async () => {
+        const required = require( specifier );
+        const imported = await import( specifier );
+
+        assert.deepEqual( Object.keys( required ).sort(), [ ...names ].sort() );
+
+        //! 'default' is the whole module.exports, every other name is a named export
+        assert.deepEqual( Object.keys( imported ).filter( ( name ) => name !== "default" ).sort(), [ ...names ].sort() );
+
+        //! the same objects, not copies: a post added through one is seen through the other
+        for ( const name of names ) {
+            assert.equal( imported[ name ], required[ name ], `${ name } is not the same both ways` );
+        }
+    } );
+}
+
+test( "require() and import give the same results", async () => {
+    const temp = require( "@learn-node/shared/calculate-temp" );
+    const { calculateCelsiusToFahrenheit, calculateFahrenheitToCelsius } = await import( "@learn-node/shared/calculate-temp" );
+
+    assert.equal( temp.calculateCelsiusToFahrenheit( 0 ), 32 );
+    assert.equal( calculateCelsiusToFahrenheit( 100 ), 212 );
+    assert.equal( calculateFahrenheitToCelsius( 32 ), 0 );
+
+    const { getPosts, getPostsLength } = await import( "@learn-node/shared/get-posts" );
+
+    assert.equal( getPostsLength(), 2 );
+    assert.equal( require( "@learn-node/shared/get-posts" ).getPosts(), getPosts() );
+
+    assert.deepEqual( ( await import( "@learn-node/shared/people" ) ).people, [ "Shakib", "Tamim", "Mashrafi" ] );
+} );
+
+test( "files outside the exports map cannot be loaded", async () => {
+    assert.throws( () => require( "@learn-node/shared/cjs/people.js" ), { code: "ERR_PACKAGE_PATH_NOT_EXPORTED" } );
+    await assert.rejects( import( "@learn-node/shared/esm/people.mjs" ), { code: "ERR_PACKAGE_PATH_NOT_EXPORTED" } );
+} );
+
+test( "probe() answers /healthz and /readyz and leaves other requests alone", async () => {
+    const http = require( "node:http" );
+    const { probe, registerCheck } = require( "@learn-node/shared/health" );
+
+    let failing = false;
+
+    registerCheck( "test", async () => {
+        if ( failing ) {
+            throw new Error( "down" );
+        }
+    } );
+
+    const server = http.createServer( async ( req, res ) => {
+        if ( !await probe( req, res ) ) {
+            res.writeHead( 404 ).end();
+        }
+    } );
+
+    await new Promise( ( resolve ) => server.listen( 0, resolve ) );
+
+    const get = async ( path ) => {
+        const response = await fetch( `http://localhost:${ server.address().port }${ path }` );
+
+        return { status: response.status, body: response.status === 404 ? null : await response.json() };
+    };
+
+    try {
+        const live = await get( "/healthz" );
+
+        assert.equal( live.status, 200 );
+        assert.equal( live.body.status, "ok" );
+        assert.deepEqual( Object.keys( live.body.eventLoopLag ), [ "meanMs", "p99Ms", "maxMs" ] );
+
+        assert.equal( ( await get( "/readyz" ) ).status, 200 );
+
+        failing = true;
+        const notReady = await get( "/readyz?verbose" );
+
+        assert.equal( notReady.status, 503 );
+        assert.equal( notReady.body.checks.test.error, "down" );
+
+        assert.equal( ( await get( "/healthz/more" ) ).status, 404 );
+    } finally {
+        server.closeAllConnections();
+        await new Promise( ( resolve ) => server.close( resolve ) );
+    }
+} );
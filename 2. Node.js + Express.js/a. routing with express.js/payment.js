@@ -1,6 +1,8 @@
 const express = require( "express" );
 const router = express.Router();
 
+// A routing example only. The real payment resource (status lifecycle, idempotency keys, mock provider)
+// is in "g. middlewares - user-agent tracking with logger in a file/routes/payment.js"
 router.get( '/user/:id/payment', ( req, res ) => {
     const userID = req.params.id;
     const filter = req.query.filter;
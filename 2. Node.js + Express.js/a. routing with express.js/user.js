@@ -12,13 +12,13 @@ router.post( '/users', ( req, res ) => {
     const { name, age } = req.body;
 
     if ( !name ) {
-        res.status( 400 ).json( {
+        return res.status( 400 ).json( {
             message: "Name is required"
         } );
     }
 
     if ( !age ) {
-        res.status( 400 ).json( {
+        return res.status( 400 ).json( {
             message: "Age is required"
         } );
     }
@@ -1,5 +1,6 @@
 const express = require( "express" );
 const Joi = require( "joi" );
+const validate = require( "./validate" );
 const router = express.Router();
 
 class User {
@@ -10,33 +11,32 @@ class User {
     };
 };
 
-router.get( '/user/:id', ( req, res ) => {
-    const userID = req.params.id;
-    const filter = req.query.filter;
+//! schema validator
 
-    res.status( 200 ).send( `User ID : ${ userID } and filter : ${ filter }` );
+const userSchema = Joi.object( {
+    name: Joi.string().trim().min( 3 ).max( 100 ).required(),
+    age: Joi.number().positive().required(),
+    address: Joi.string().trim().min( 5 ).required(),
 } );
 
-router.post( '/users', ( req, res ) => {
-    const user = new User( req.body );
-
-    const { name, age, address } = req.body;
+const userIdSchema = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+} );
 
-    if ( !name || !age || !address ) {
-        return res.status( 400 ).json( { error: "All fields (name, age, address, location) are required." } );
-    }
+const userQuerySchema = Joi.object( {
+    filter: Joi.string().trim().max( 100 ),
+} );
 
-    if ( typeof name !== 'string' || name.length < 3 || name.length > 100 ) {
-        return res.status( 400 ).json( { error: "Name must be string and length should be between 3 to 100. " } );
-    }
+router.get( '/user/:id', validate( { params: userIdSchema, query: userQuerySchema } ), ( req, res ) => {
+    const userID = req.params.id;
+    const filter = req.query.filter;
 
-    if ( typeof age !== 'number' || age <= 0 ) {
-        return res.status( 400 ).json( { error: "Age must be a non-zero positive number. " } );
-    }
+    res.status( 200 ).send( `User ID : ${ userID } and filter : ${ filter }` );
+} );
 
-    if ( typeof address !== 'string' || address.length < 5 ) {
-        return res.status( 400 ).json( { error: "Address must be string and length should be between more then 3. " } );
-    }
+//! The manual 'typeof' checks that were here are now the schema above. validate() runs it before the handler
+router.post( '/users', validate( { body: userSchema } ), ( req, res ) => {
+    const user = new User( req.body );
 
     res.status( 201 ).json( {
         message: "User created successfully",
@@ -44,23 +44,10 @@ router.post( '/users', ( req, res ) => {
     } );
 } );
 
+//! the same route, kept so the old URL still works
+router.post( '/users/v2', validate( { body: userSchema } ), ( req, res ) => {
 
-//! schema validator 
-
-const userSchema = Joi.object( {
-    name: Joi.string().min( 3 ).max( 100 ).required(),
-    age: Joi.number().positive().required(),
-    address: Joi.string().min( 5 ).required(),
-} );
-
-router.post( '/users/v2', ( req, res ) => {
-
-    //! validate :
-    const { error } = userSchema.validate( req.body );
-
-    //! if validation fails :
-    if ( error )
-        return res.status( 400 ).json( { error: error.details } );
+    //! req.body has already been validated and cleaned : unknown fields removed, '30' turned into 30
 
     //! pass the data to User class data model
     const user = new User( req.body );
@@ -74,4 +61,4 @@ router.post( '/users/v2', ( req, res ) => {
     } );
 } );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,47 @@
+//! A middleware that validates the request against Joi schemas, so the route handlers don't have to :
+//!     router.post( '/users', validate( { body: userSchema } ), ( req, res ) => { ... } )
+
+const OPTIONS = {
+    abortEarly: false, //! report every problem, not just the first one
+    convert: true, //! '30' -> 30 for numbers, trims strings, applies defaults
+};
+
+//! body : fields the schema doesn't know are removed. query : an unknown parameter is an error ( ?fitler= is a typo )
+const PART_OPTIONS = {
+    params: OPTIONS,
+    query: { ...OPTIONS, allowUnknown: false },
+    body: { ...OPTIONS, stripUnknown: true },
+};
+
+const validate = ( schemas ) => ( req, res, next ) => {
+    const errors = [];
+
+    for ( const part of [ 'params', 'query', 'body' ] ) {
+        if ( !schemas[ part ] ) {
+            continue;
+        }
+
+        const { error, value } = schemas[ part ].validate( req[ part ] ?? {}, PART_OPTIONS[ part ] );
+
+        if ( error ) {
+            errors.push( ...error.details.map( ( detail ) => ( { in: part, field: detail.path.join( '.' ), message: detail.message } ) ) );
+            continue;
+        }
+
+        //! the route handler only sees the clean values. req.query is a getter in Express 5, so it has to be redefined
+        if ( part === 'query' ) {
+            Object.defineProperty( req, 'query', { value, writable: true, configurable: true, enumerable: true } );
+        } else {
+            req[ part ] = value;
+        }
+    }
+
+    //! every problem in one answer
+    if ( errors.length > 0 ) {
+        return res.status( 400 ).json( { errors } );
+    }
+
+    next();
+};
+
+module.exports = validate;
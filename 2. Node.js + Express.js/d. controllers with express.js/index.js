@@ -1,14 +1,29 @@
 const express = require( 'express' );
+//! /healthz, /readyz and graceful shutdown, shared by every server in this repository
+const { probes } = require( '../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/health' );
+const { handleShutdown } = require( '../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/shutdown' );
 const app = express();
 const userRoutes = require( './routes/user' );
 
+//! before everything else, so the probes are not logged or checked
+app.use( probes );
+
 app.use( express.json() );
 
 
 app.use( '/api', userRoutes );
 
-const port = process.env.PORT;
+//! PORT comes from the environment, 3000 if it is not set. Anything but a whole number from 0 to 65535 stops the server before it starts
+const port = Number( process.env.PORT || 3000 );
+
+if ( !Number.isInteger( port ) || port < 0 || port > 65535 ) {
+    console.error( `PORT must be a whole number from 0 to 65535, got "${ process.env.PORT }"` );
+    process.exit( 1 );
+}
 
-app.listen( port, () => {
+const server = app.listen( port, () => {
     console.log( `Server is running on port ${ port }` );
-} );
\ No newline at end of file
+} );
+
+//! SIGTERM / SIGINT ( Ctrl+C ): stop accepting connections and let the open requests finish
+handleShutdown( server );
@@ -0,0 +1,94 @@
+const fs = require( 'fs' );
+const path = require( 'path' );
+const util = require( 'util' );
+const Joi = require( 'joi' );
+
+// The only place that reads process.env. Everything else uses the frozen object exported here:
+//   { env, isProduction, port, logLevel, tokenSecret, dataDir, logDir, uploadDir, uploadMaxFileSize }
+//
+// Values come from, highest priority first:
+//   1. the real environment (PORT=4000 npm start)
+//   2. .env.<NODE_ENV>, e.g. .env.production
+//   3. .env
+//   4. the defaults below
+// Anything invalid stops the app at startup with one message listing every problem.
+
+const appDir = path.join( __dirname, '..' );
+
+const LOG_LEVELS = [ 'error', 'warn', 'info', 'debug' ];
+
+const schema = Joi.object( {
+    NODE_ENV: Joi.string().valid( 'development', 'production', 'test' ).default( 'development' ),
+    PORT: Joi.number().port().default( 3000 ),
+    LOG_LEVEL: Joi.string().lowercase().valid( ...LOG_LEVELS ).default( 'info' ),
+    // a random secret is fine while developing, but in production every restart would log everyone out
+    TOKEN_SECRET: Joi.string().min( 32 ).when( 'NODE_ENV', { is: 'production', then: Joi.required() } )
+        .messages( { 'string.min': '"TOKEN_SECRET" must be at least 32 characters long' } ),
+    DATA_DIR: Joi.string().default( 'data' ),
+    LOG_DIR: Joi.string().default( 'logs' ),
+    UPLOAD_DIR: Joi.string().default( 'uploads' ),
+    // bytes, per file
+    UPLOAD_MAX_FILE_SIZE: Joi.number().integer().min( 1 ).default( 2 * 1024 * 1024 ),
+} );
+
+// KEY = value lines. Empty values (TOKEN_SECRET = ) count as not set
+const readEnvFile = ( file ) => {
+    if ( !fs.existsSync( file ) ) {
+        return {};
+    }
+
+    const values = util.parseEnv( fs.readFileSync( file, 'utf8' ) );
+
+    return Object.fromEntries( Object.entries( values ).filter( ( [ , value ] ) => value !== '' ) );
+};
+
+const load = () => {
+    const real = Object.fromEntries( Object.entries( process.env ).filter( ( [ , value ] ) => value !== '' ) );
+    const base = readEnvFile( path.join( appDir, '.env' ) );
+    const nodeEnv = real.NODE_ENV || base.NODE_ENV || 'development';
+
+    // checked before it becomes part of a file name, NODE_ENV=../../x must not read a file outside the app
+    const { error: envError } = schema.extract( 'NODE_ENV' ).label( 'NODE_ENV' ).validate( nodeEnv );
+
+    if ( envError ) {
+        throw new Error( `Invalid configuration:\n  - ${ envError.message }` );
+    }
+
+    const merged = {
+        ...base,
+        ...readEnvFile( path.join( appDir, `.env.${ nodeEnv }` ) ),
+        ...real,
+    };
+
+    // only our keys are validated, the rest of the environment is not our business
+    const { value, error } = schema.validate(
+        Object.fromEntries( Object.keys( schema.describe().keys ).filter( ( key ) => key in merged ).map( ( key ) => [ key, merged[ key ] ] ) ),
+        { abortEarly: false, convert: true }
+    );
+
+    if ( error ) {
+        const problems = error.details.map( ( detail ) => `  - ${ detail.message }` ).join( '\n' );
+
+        throw new Error( `Invalid configuration:\n${ problems }` );
+    }
+
+    return Object.freeze( {
+        env: value.NODE_ENV,
+        isProduction: value.NODE_ENV === 'production',
+        port: value.PORT,
+        logLevel: value.LOG_LEVEL,
+        tokenSecret: value.TOKEN_SECRET,
+        dataDir: path.resolve( appDir, value.DATA_DIR ),
+        logDir: path.resolve( appDir, value.LOG_DIR ),
+        uploadDir: path.resolve( appDir, value.UPLOAD_DIR ),
+        uploadMaxFileSize: value.UPLOAD_MAX_FILE_SIZE,
+    } );
+};
+
+try {
+    module.exports = load();
+} catch ( error ) {
+    // fail fast: a clear message instead of a stack trace, before anything else starts
+    console.error( error.message );
+    process.exit( 1 );
+}
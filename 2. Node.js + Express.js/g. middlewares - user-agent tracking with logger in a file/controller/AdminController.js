@@ -0,0 +1,66 @@
+const { accessLogger } = require( '../utils/logger' );
+const { parseUserAgent } = require( '../utils/userAgentParser' );
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// A Map, not a plain object: the keys come from the User-Agent header, and one like "__proto__" or
+// "constructor" would hit the object's prototype
+const count = ( counts, key ) => {
+    counts.set( key, ( counts.get( key ) || 0 ) + 1 );
+};
+
+// most common first
+const byCount = ( counts ) => [ ...counts ].sort( ( a, b ) => b[ 1 ] - a[ 1 ] );
+
+// Map { Chrome => 3, Firefox => 7 } -> { Firefox: 7, Chrome: 3 }
+const sortCounts = ( counts ) => Object.fromEntries( byCount( counts ) );
+
+exports.getAgentStats = async ( req, res ) => {
+    const { window, top } = req.query;
+    const to = Date.now();
+    const from = to - parseInt( window, 10 ) * UNITS[ window.slice( -1 ) ];
+
+    const browsers = new Map();
+    const os = new Map();
+    const devices = new Map();
+    const tools = new Map();
+    const agents = new Map();
+    const checks = { allowed: 0, blocked: 0, monitored: 0 };
+    let total = 0;
+
+    for await ( const record of accessLogger.read( { from, to } ) ) {
+        const parsed = parseUserAgent( record.userAgent );
+
+        total += 1;
+        count( browsers, parsed.browser || 'unknown' );
+        count( os, parsed.os || 'unknown' );
+        count( devices, parsed.device );
+        count( agents, record.userAgent || '(none)' );
+
+        if ( parsed.tool ) {
+            count( tools, parsed.tool );
+        }
+
+        if ( Object.hasOwn( checks, record.userAgentCheck ) ) {
+            checks[ record.userAgentCheck ] += 1;
+        }
+    }
+
+    const checked = checks.allowed + checks.blocked + checks.monitored;
+
+    res.status( 200 ).json( {
+        window: { from: new Date( from ).toISOString(), to: new Date( to ).toISOString() },
+        total,
+        userAgentCheck: {
+            ...checks,
+            blockedRatio: checked ? Number( ( checks.blocked / checked ).toFixed( 4 ) ) : 0,
+        },
+        browsers: sortCounts( browsers ),
+        os: sortCounts( os ),
+        devices: sortCounts( devices ),
+        tools: sortCounts( tools ),
+        topAgents: byCount( agents )
+            .slice( 0, top )
+            .map( ( [ userAgent, requests ] ) => ( { userAgent, requests, ...parseUserAgent( userAgent === '(none)' ? null : userAgent ) } ) ),
+    } );
+};
@@ -0,0 +1,47 @@
+const userRepository = require( '../repository/UserRepository' );
+const events = require( '../utils/events' );
+const { hashPassword, verifyPassword } = require( '../utils/password' );
+const { signToken } = require( '../utils/token' );
+const { ConflictError, UnauthorizedError } = require( '../utils/errors' );
+
+const TOKEN_LIFETIME = 60 * 60; // 1 hour
+
+const issueToken = ( user ) => ( {
+    token: signToken( { sub: user.id }, { expiresIn: TOKEN_LIFETIME } ),
+    tokenType: 'Bearer',
+    expiresIn: TOKEN_LIFETIME,
+} );
+
+exports.register = async ( req, res ) => {
+    const { body } = req;
+
+    if ( await userRepository.findByEmail( body.email ) ) {
+        throw new ConflictError( "Email is already in use" );
+    }
+
+    const { password, ...profile } = body;
+
+    // Always a plain user: anyone can call this. Admins are made with npm run create-admin
+    const user = await userRepository.create( { ...profile, role: 'user', passwordHash: await hashPassword( password ) } );
+
+    events.publish( 'user.created', { id: user.id, name: user.name, email: user.email, role: user.role } );
+
+    res.status( 201 ).json( {
+        message: "User registered successfully",
+        user: { id: user.id, name: user.name, email: user.email, role: user.role },
+        ...issueToken( user ),
+    } );
+};
+
+exports.login = async ( req, res ) => {
+    const { body } = req;
+
+    const user = await userRepository.findByEmail( body.email );
+
+    // same answer for an unknown email and a wrong password
+    if ( !user || !await verifyPassword( body.password, user.passwordHash ) ) {
+        throw new UnauthorizedError( "Invalid email or password" );
+    }
+
+    res.status( 200 ).json( issueToken( user ) );
+};
@@ -0,0 +1,78 @@
+const { scheduler } = require( '../services/scheduler' );
+const { applyListQuery } = require( '../utils/listQuery' );
+const { NotFoundError, ConflictError } = require( '../utils/errors' );
+
+// Job class
+class Job {
+    constructor( { name, description, cron, everyMs, catchUp, paused, running, nextRunAt, lastRun, lastMissed, runs, failures, skippedRuns, missedRuns } ) {
+        this.name = name;
+        this.description = description;
+        this.cron = cron;
+        this.everyMs = everyMs;
+        this.catchUp = catchUp;
+        this.paused = paused;
+        this.running = running;
+        this.nextRunAt = nextRunAt;
+        this.lastRun = lastRun;
+        this.lastMissed = lastMissed;
+        this.runs = runs;
+        this.failures = failures;
+        this.skippedRuns = skippedRuns;
+        this.missedRuns = missedRuns;
+    }
+}
+
+const findJob = ( name ) => {
+    const job = scheduler.find( name );
+
+    if ( !job ) {
+        throw new NotFoundError( "Job not found" );
+    }
+
+    return job;
+};
+
+// All logics
+exports.getJobs = async ( req, res ) => {
+    const list = applyListQuery( req, scheduler.list().map( ( job ) => new Job( job ) ), req.query, [ 'name' ] );
+
+    res.status( 200 ).json( list );
+};
+
+exports.getJobByName = async ( req, res ) => {
+    res.status( 200 ).json( new Job( findJob( req.params.name ) ) );
+};
+
+exports.pauseJob = async ( req, res ) => {
+    findJob( req.params.name );
+
+    res.status( 200 ).json( {
+        message: "Job paused",
+        job: new Job( await scheduler.pause( req.params.name ) ),
+    } );
+};
+
+exports.resumeJob = async ( req, res ) => {
+    findJob( req.params.name );
+
+    res.status( 200 ).json( {
+        message: "Job resumed",
+        job: new Job( await scheduler.resume( req.params.name ) ),
+    } );
+};
+
+// Starts a run and answers straight away. The outcome shows up in lastRun
+exports.runJob = async ( req, res ) => {
+    findJob( req.params.name );
+
+    if ( scheduler.isRunning( req.params.name ) ) {
+        throw new ConflictError( 'The job is already running' );
+    }
+
+    scheduler.trigger( req.params.name );
+
+    res.status( 202 ).json( {
+        message: "Job started",
+        job: new Job( scheduler.find( req.params.name ) ),
+    } );
+};
@@ -0,0 +1,221 @@
+const crypto = require( 'crypto' );
+const { PAYMENT_TRANSITIONS } = require( '../model/schema/Payment' );
+const paymentRepository = require( '../repository/PaymentRepository' );
+const userRepository = require( '../repository/UserRepository' );
+const paymentProvider = require( '../services/paymentProvider' );
+const events = require( '../utils/events' );
+const log = require( '../utils/log' );
+const { applyListQuery } = require( '../utils/listQuery' );
+const { NotFoundError, ConflictError, ForbiddenError, UnprocessableEntityError } = require( '../utils/errors' );
+
+// Payment class
+class Payment {
+    constructor( { id, userId, amount, currency, description, status, failureReason, createdAt, updatedAt, history } ) {
+        this.id = id;
+        this.userId = userId;
+        this.amount = amount;
+        this.currency = currency;
+        this.description = description;
+        this.status = status;
+        this.failureReason = failureReason;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        this.history = history;
+    }
+}
+
+// Requests with an idempotency key that are still running, so a quick retry waits for the first one:
+// key -> { requestHash, promise }
+const inFlight = new Map();
+
+// payment id -> promise of the last queued status change
+const paymentQueues = new Map();
+
+// Status changes of one payment run one after another. Two refunds sent at the same time would
+// otherwise both pass the status check and both call the provider
+const queueForPayment = ( id, task ) => {
+    const previous = paymentQueues.get( id ) || Promise.resolve();
+    const result = previous.then( task, task );
+    const tail = result.catch( () => {} );
+
+    paymentQueues.set( id, tail );
+
+    tail.then( () => {
+        if ( paymentQueues.get( id ) === tail ) {
+            paymentQueues.delete( id );
+        }
+    } );
+
+    return result;
+};
+
+// 409 if the status lifecycle does not allow this change
+const checkTransition = ( payment, status ) => {
+    if ( !PAYMENT_TRANSITIONS[ payment.status ].includes( status ) ) {
+        throw new ConflictError( `A ${ payment.status } payment cannot become ${ status }` );
+    }
+};
+
+const transition = async ( payment, status, changes = {} ) => {
+    checkTransition( payment, status );
+
+    const now = new Date().toISOString();
+
+    const updated = await paymentRepository.update( payment.id, {
+        ...changes,
+        status,
+        updatedAt: now,
+        history: [ ...payment.history, { status, at: now } ],
+    } );
+
+    events.publish( 'payment.updated', new Payment( updated ) );
+
+    return updated;
+};
+
+// Re-reads the payment once it is its turn, so the status check and the history see the latest state
+const changeStatus = ( id, status, callProvider ) => queueForPayment( id, async () => {
+    const payment = await paymentRepository.findById( id );
+
+    checkTransition( payment, status );
+
+    await callProvider( payment );
+
+    return transition( payment, status );
+} );
+
+const findOwnPayment = async ( req ) => {
+    const payment = await paymentRepository.findById( req.params.id );
+
+    if ( !payment ) {
+        throw new NotFoundError( "Payment not found" );
+    }
+
+    if ( payment.userId !== req.user.id && req.user.role !== 'admin' ) {
+        throw new ForbiddenError( 'You can only access your own payments' );
+    }
+
+    return payment;
+};
+
+// Creates the payment and asks the provider to authorize it
+const charge = async ( userId, body, key, requestHash ) => {
+    const now = new Date().toISOString();
+    const payment = await paymentRepository.createWithIdempotencyKey( {
+        userId,
+        ...body,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+        history: [ { status: 'pending', at: now } ],
+    }, key, requestHash );
+
+    events.publish( 'payment.created', new Payment( payment ) );
+
+    let result;
+
+    // a provider that is down or times out declines the payment, it must not stay pending forever
+    try {
+        result = await paymentProvider.authorize( payment );
+    } catch ( error ) {
+        log.error( `Authorizing payment ${ payment.id } failed:`, error );
+        result = { approved: false, reason: 'provider_error' };
+    }
+
+    return result.approved
+        ? transition( payment, 'authorized', { providerReference: result.reference } )
+        : transition( payment, 'failed', { failureReason: result.reason } );
+};
+
+// All logics
+exports.createPayment = async ( req, res ) => {
+    const userId = req.params.id;
+
+    if ( !await userRepository.findById( userId ) ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    // keys are per user, and remember what was sent with them
+    const key = `${ userId }:${ req.headers[ 'idempotency-key' ] }`;
+    const requestHash = crypto.createHash( 'sha256' ).update( JSON.stringify( req.body ) ).digest( 'hex' );
+
+    const existing = await paymentRepository.findIdempotencyKey( key );
+    const running = inFlight.get( key );
+
+    if ( ( existing || running ) && ( existing || running ).requestHash !== requestHash ) {
+        throw new UnprocessableEntityError( 'This Idempotency-Key was already used with a different request' );
+    }
+
+    let payment;
+
+    if ( existing ) {
+        // the first request's error was answered to the first request, this one gets the stored payment
+        await running?.promise.catch( () => {} );
+        payment = await paymentRepository.findById( existing.paymentId );
+        res.set( 'Idempotent-Replayed', 'true' );
+    } else if ( running ) {
+        payment = await running.promise.catch( async ( error ) => {
+            const stored = await paymentRepository.findIdempotencyKey( key );
+
+            // it failed before the payment was stored: nothing to replay
+            if ( !stored ) {
+                throw error;
+            }
+
+            return paymentRepository.findById( stored.paymentId );
+        } );
+        res.set( 'Idempotent-Replayed', 'true' );
+    } else {
+        const promise = charge( userId, req.body, key, requestHash );
+
+        inFlight.set( key, { requestHash, promise } );
+
+        try {
+            payment = await promise;
+        } finally {
+            inFlight.delete( key );
+        }
+    }
+
+    res.status( 201 ).json( {
+        message: payment.status === 'failed' ? "Payment failed" : "Payment authorized",
+        payment: new Payment( payment ),
+    } );
+};
+
+exports.getUserPayments = async ( req, res ) => {
+    if ( !await userRepository.findById( req.params.id ) ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    const payments = await paymentRepository.findByUser( req.params.id );
+    const list = applyListQuery( req, payments.map( ( payment ) => new Payment( payment ) ), req.query, [ 'status', 'currency' ] );
+
+    res.status( 200 ).json( list );
+};
+
+exports.getPaymentById = async ( req, res ) => {
+    const payment = await findOwnPayment( req );
+
+    res.status( 200 ).json( new Payment( payment ) );
+};
+
+exports.capturePayment = async ( req, res ) => {
+    const { id } = await findOwnPayment( req );
+    const payment = await changeStatus( id, 'captured', ( current ) => paymentProvider.capture( current.providerReference ) );
+
+    res.status( 200 ).json( {
+        message: "Payment captured",
+        payment: new Payment( payment ),
+    } );
+};
+
+exports.refundPayment = async ( req, res ) => {
+    const { id } = await findOwnPayment( req );
+    const payment = await changeStatus( id, 'refunded', ( current ) => paymentProvider.refund( current.providerReference ) );
+
+    res.status( 200 ).json( {
+        message: "Payment refunded",
+        payment: new Payment( payment ),
+    } );
+};
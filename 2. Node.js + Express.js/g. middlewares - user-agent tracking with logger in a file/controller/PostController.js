@@ -0,0 +1,104 @@
+const postRepository = require( '../repository/PostRepository' );
+const userRepository = require( '../repository/UserRepository' );
+const { applyListQuery } = require( '../utils/listQuery' );
+const { search } = require( '../utils/search' );
+const { NotFoundError, ForbiddenError } = require( '../utils/errors' );
+
+// Post class
+class Post {
+    constructor( { id, authorId, title, body, createdAt, updatedAt } ) {
+        this.id = id;
+        this.authorId = authorId;
+        this.title = title;
+        this.body = body;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+    }
+}
+
+// a match in the title counts three times as much as one in the body
+const SEARCH_WEIGHTS = { title: 3, body: 1 };
+
+const findPost = async ( id ) => {
+    const post = await postRepository.findById( id );
+
+    if ( !post ) {
+        throw new NotFoundError( "Post not found" );
+    }
+
+    return post;
+};
+
+// Only the author and admins can change or delete a post
+const findOwnPost = async ( req ) => {
+    const post = await findPost( req.params.id );
+
+    if ( post.authorId !== req.user.id && req.user.role !== 'admin' ) {
+        throw new ForbiddenError( 'You can only change your own posts' );
+    }
+
+    return post;
+};
+
+// ?q= first, so the list is in relevance order. ?sort= still overrides it
+const listPosts = ( req, posts ) => {
+    const found = req.query.q ? search( posts, req.query.q, SEARCH_WEIGHTS ) : posts;
+
+    return applyListQuery( req, found.map( ( post ) => new Post( post ) ), req.query, [ 'title' ] );
+};
+
+// All logics. Bodies, params and queries have already been validated by the validate() middleware in routes/post.js
+exports.getAllPosts = async ( req, res ) => {
+    res.status( 200 ).json( listPosts( req, await postRepository.findAll() ) );
+};
+
+exports.getUserPosts = async ( req, res ) => {
+    if ( !await userRepository.findById( req.params.id ) ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    res.status( 200 ).json( listPosts( req, await postRepository.findByAuthor( req.params.id ) ) );
+};
+
+exports.getPostById = async ( req, res ) => {
+    res.status( 200 ).json( new Post( await findPost( req.params.id ) ) );
+};
+
+// The author is the :id user: yourself, or anyone for an admin
+exports.createPost = async ( req, res ) => {
+    if ( !await userRepository.findById( req.params.id ) ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    const now = new Date().toISOString();
+    const post = await postRepository.create( {
+        ...req.body,
+        authorId: Number( req.params.id ),
+        createdAt: now,
+        updatedAt: now,
+    } );
+
+    res.status( 201 ).json( {
+        message: "Post created successfully",
+        post: new Post( post ),
+    } );
+};
+
+// PUT and PATCH: routes/post.js validates the body, PUT needs title and body, PATCH only the fields sent.
+// The author and createdAt never change
+exports.updatePost = async ( req, res ) => {
+    const post = await findOwnPost( req );
+
+    res.status( 200 ).json( {
+        message: "Post updated successfully",
+        post: new Post( await postRepository.update( post.id, { ...req.body, updatedAt: new Date().toISOString() } ) ),
+    } );
+};
+
+exports.deletePost = async ( req, res ) => {
+    const post = await findOwnPost( req );
+
+    await postRepository.remove( post.id );
+
+    res.status( 204 ).end();
+};
@@ -1,40 +1,198 @@
-const { userSchema } = require( '../model/schema/User' );
-const users = require( '../users' );
+const fs = require( 'fs/promises' );
+const { createReadStream } = require( 'fs' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+const { pipeline } = require( 'stream/promises' );
+const config = require( '../config' );
+const userRepository = require( '../repository/UserRepository' );
+const postRepository = require( '../repository/PostRepository' );
+const events = require( '../utils/events' );
+const { applyListQuery } = require( '../utils/listQuery' );
+const { NotFoundError, ForbiddenError, ValidationError } = require( '../utils/errors' );
 
-// User class
+// Uploaded avatars, named <user id>-<random><extension of the detected type>
+const avatarsDir = path.join( config.uploadDir, 'avatars' );
+
+// User class. The avatar's file name on disk stays internal
 class User {
-    constructor( { id, name, email } ) {
+    constructor( { id, name, email, role, avatar } ) {
         this.id = id;
         this.name = name;
         this.email = email;
+        this.role = role;
+        this.avatar = avatar ? {
+            url: `/api/users/${ id }/avatar`,
+            originalName: avatar.originalName,
+            mimeType: avatar.mimeType,
+            size: avatar.size,
+            uploadedAt: avatar.uploadedAt,
+        } : undefined;
     }
 }
 
-// All logics
-exports.getAllUsers = ( req, res ) => {
-    res.status( 200 ).json( users );
-};
+const findUser = async ( id ) => {
+    const user = await userRepository.findById( id );
+
+    if ( !user ) {
+        throw new NotFoundError( "User not found" );
+    }
 
-exports.getUserById = ( req, res ) => {
-    const userID = req.params.id;
+    return user;
+};
 
-    if ( !userID ) {
-        return res.status( 404 ).json( { message: "User not found" } );
+// A missing file is fine, it is what we want anyway
+const removeAvatarFile = async ( avatar ) => {
+    if ( avatar ) {
+        await fs.rm( path.join( avatarsDir, avatar.fileName ), { force: true } );
     }
-    res.status( 200 ).json( users );
 };
 
-exports.createUser = ( req, res ) => {
-    const { error } = userSchema.validate( req.body );
+// Changing a role is an admin action, even on your own account
+const isRoleChangeDenied = ( req, value ) => value.role !== undefined && req.user.role !== 'admin';
 
-    if ( error ) {
-        return res.status( 400 ).json( { message: error.details[ 0 ].message } );
-    }
+// All logics. Bodies, params and queries have already been validated by the validate() middleware in routes/user.js
+exports.getAllUsers = async ( req, res ) => {
+    const users = await userRepository.findAll();
+    const list = applyListQuery( req, users.map( ( user ) => new User( user ) ), req.query, [ 'name', 'email' ] );
 
-    const newUser = new User( req.body );
+    res.status( 200 ).json( list );
+};
+
+exports.getUserById = async ( req, res ) => {
+    res.status( 200 ).json( new User( await findUser( req.params.id ) ) );
+};
+
+exports.createUser = async ( req, res ) => {
+    const { body } = req;
+
+    // id is assigned by the repository, which also answers 409 for an email that is already in use
+    const newUser = new User( await userRepository.create( body ) );
+
+    events.publish( 'user.created', { id: newUser.id, name: newUser.name, email: newUser.email, role: newUser.role } );
 
     res.status( 201 ).json( {
         message: "User created successfully",
         user: newUser,
     } );
 };
+
+exports.replaceUser = async ( req, res ) => {
+    const { body } = req;
+
+    if ( isRoleChangeDenied( req, body ) ) {
+        throw new ForbiddenError( 'Only admins can change roles' );
+    }
+
+    const user = await userRepository.replace( req.params.id, body );
+
+    if ( !user ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    res.status( 200 ).json( {
+        message: "User updated successfully",
+        user: new User( user ),
+    } );
+};
+
+exports.updateUser = async ( req, res ) => {
+    const { body } = req;
+
+    if ( isRoleChangeDenied( req, body ) ) {
+        throw new ForbiddenError( 'Only admins can change roles' );
+    }
+
+    const user = await userRepository.update( req.params.id, body );
+
+    if ( !user ) {
+        throw new NotFoundError( "User not found" );
+    }
+
+    res.status( 200 ).json( {
+        message: "User updated successfully",
+        user: new User( user ),
+    } );
+};
+
+exports.deleteUser = async ( req, res ) => {
+    const user = await findUser( req.params.id );
+
+    await userRepository.remove( req.params.id );
+    await postRepository.removeByAuthor( user.id );
+    await removeAvatarFile( user.avatar );
+
+    res.status( 204 ).end();
+};
+
+// The file was streamed to a temp file by the upload() middleware in routes/user.js, and its type checked
+exports.uploadAvatar = async ( req, res ) => {
+    const user = await findUser( req.params.id );
+    const [ file ] = req.files;
+
+    if ( !file ) {
+        throw new ValidationError( 'An "avatar" file is required' );
+    }
+
+    const fileName = `${ user.id }-${ crypto.randomUUID() }${ file.extension }`;
+
+    await fs.mkdir( avatarsDir, { recursive: true } );
+    await fs.rename( file.path, path.join( avatarsDir, fileName ) );
+
+    const updated = await userRepository.update( user.id, {
+        avatar: {
+            fileName,
+            originalName: file.originalName,
+            mimeType: file.mimeType,
+            size: file.size,
+            uploadedAt: new Date().toISOString(),
+        },
+    } );
+
+    // only once the new one is saved, so a failed upload keeps the old avatar
+    await removeAvatarFile( user.avatar );
+
+    res.status( 200 ).json( {
+        message: "Avatar uploaded successfully",
+        user: new User( updated ),
+    } );
+};
+
+// Streamed from disk, never read into memory
+exports.getAvatar = async ( req, res ) => {
+    const { avatar } = await findUser( req.params.id );
+    const filePath = avatar && path.join( avatarsDir, avatar.fileName );
+    const stats = filePath && await fs.stat( filePath ).catch( () => null );
+
+    if ( !stats ) {
+        throw new NotFoundError( "This user has no avatar" );
+    }
+
+    res.set( {
+        'Content-Type': avatar.mimeType,
+        'Content-Length': stats.size,
+        // originalName was sanitized on upload, so it is safe inside the quotes
+        'Content-Disposition': `inline; filename="${ avatar.originalName }"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-cache',
+    } );
+
+    // a client that goes away halfway is not an error
+    await pipeline( createReadStream( filePath ), res ).catch( ( error ) => {
+        if ( error.code !== 'ERR_STREAM_PREMATURE_CLOSE' ) {
+            throw error;
+        }
+    } );
+};
+
+exports.deleteAvatar = async ( req, res ) => {
+    const user = await findUser( req.params.id );
+
+    if ( !user.avatar ) {
+        throw new NotFoundError( "This user has no avatar" );
+    }
+
+    await userRepository.update( user.id, { avatar: null } );
+    await removeAvatarFile( user.avatar );
+
+    res.status( 204 ).end();
+};
@@ -0,0 +1,115 @@
+const crypto = require( 'crypto' );
+const webhookRepository = require( '../repository/WebhookRepository' );
+const deliveryRepository = require( '../repository/DeliveryRepository' );
+const { webhookDispatcher } = require( '../services/webhookDispatcher' );
+const { applyListQuery } = require( '../utils/listQuery' );
+const { NotFoundError } = require( '../utils/errors' );
+
+// Webhook class. The secret is only shown once, when the webhook is created
+class Webhook {
+    constructor( { id, url, events, description, active, createdAt, updatedAt } ) {
+        this.id = id;
+        this.url = url;
+        this.events = events;
+        this.description = description;
+        this.active = active;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+    }
+}
+
+// Delivery class, one entry of the delivery log
+class Delivery {
+    constructor( { id, webhookId, event, status, attempts, createdAt, nextAttemptAt, deliveredAt, reason, redeliveryOf, payload } ) {
+        this.id = id;
+        this.webhookId = webhookId;
+        this.event = event;
+        this.status = status;
+        this.attempts = attempts;
+        this.createdAt = createdAt;
+        this.nextAttemptAt = nextAttemptAt;
+        this.deliveredAt = deliveredAt;
+        this.reason = reason;
+        this.redeliveryOf = redeliveryOf;
+        this.payload = payload;
+    }
+}
+
+const findWebhook = async ( id ) => {
+    const webhook = await webhookRepository.findById( id );
+
+    if ( !webhook ) {
+        throw new NotFoundError( "Webhook not found" );
+    }
+
+    return webhook;
+};
+
+// All logics
+exports.getWebhooks = async ( req, res ) => {
+    const webhooks = await webhookRepository.findAll();
+    const list = applyListQuery( req, webhooks.map( ( webhook ) => new Webhook( webhook ) ), req.query, [ 'url' ] );
+
+    res.status( 200 ).json( list );
+};
+
+exports.getWebhookById = async ( req, res ) => {
+    res.status( 200 ).json( new Webhook( await findWebhook( req.params.id ) ) );
+};
+
+exports.createWebhook = async ( req, res ) => {
+    const now = new Date().toISOString();
+    const secret = `whsec_${ crypto.randomBytes( 24 ).toString( 'hex' ) }`;
+    const webhook = await webhookRepository.create( { ...req.body, secret, createdAt: now, updatedAt: now } );
+
+    res.status( 201 ).json( {
+        message: "Webhook created successfully",
+        webhook: { ...new Webhook( webhook ), secret },
+    } );
+};
+
+exports.updateWebhook = async ( req, res ) => {
+    await findWebhook( req.params.id );
+
+    const webhook = await webhookRepository.update( req.params.id, { ...req.body, updatedAt: new Date().toISOString() } );
+
+    res.status( 200 ).json( {
+        message: "Webhook updated successfully",
+        webhook: new Webhook( webhook ),
+    } );
+};
+
+// The delivery log stays, so past deliveries can still be looked up
+exports.deleteWebhook = async ( req, res ) => {
+    const removed = await webhookRepository.remove( req.params.id );
+
+    if ( !removed ) {
+        throw new NotFoundError( "Webhook not found" );
+    }
+
+    res.status( 204 ).end();
+};
+
+exports.getDeliveries = async ( req, res ) => {
+    await findWebhook( req.params.id );
+
+    const deliveries = await deliveryRepository.findByWebhook( req.params.id );
+    const list = applyListQuery( req, deliveries.map( ( delivery ) => new Delivery( delivery ) ), req.query, [ 'event', 'status' ] );
+
+    res.status( 200 ).json( list );
+};
+
+exports.redeliver = async ( req, res ) => {
+    await findWebhook( req.params.id );
+
+    const delivery = await deliveryRepository.findById( req.params.deliveryId );
+
+    if ( !delivery || delivery.webhookId !== Number( req.params.id ) ) {
+        throw new NotFoundError( "Delivery not found" );
+    }
+
+    res.status( 202 ).json( {
+        message: "Delivery queued",
+        delivery: new Delivery( await webhookDispatcher.redeliver( delivery ) ),
+    } );
+};
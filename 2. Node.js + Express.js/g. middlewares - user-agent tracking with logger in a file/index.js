@@ -1,16 +1,106 @@
+const config = require( './config' );
 const express = require( 'express' );
+const fs = require( 'fs/promises' );
 const app = express();
-const userRoutes = require( './routes/user' );
+const routes = require( './routes' );
+const docsRoutes = require( './routes/docs' );
+const healthRoutes = require( './routes/health' );
+const metricsRoutes = require( './routes/metrics' );
 const { isValid } = require( './middleware/IsValid' );
 const { checkUserAgent } = require( './middleware/CheckUserAgent' );
+const { requestLogger } = require( './middleware/RequestLogger' );
+const { collectMetrics } = require( './middleware/Metrics' );
+const { rateLimit } = require( './middleware/RateLimit' );
+const { notFound, errorHandler } = require( './middleware/ErrorHandler' );
+const userAgentRules = require( './utils/userAgentRules' );
+const { accessLogger } = require( './utils/logger' );
+const log = require( './utils/log' );
+// health and shutdown are shared with the other servers, by path so no npm install is needed
+const health = require( '../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/health' );
+const { handleShutdown } = require( '../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/shutdown' );
+const { webhookDispatcher } = require( './services/webhookDispatcher' );
+const { scheduler } = require( './services/scheduler' );
+const { defineJobs } = require( './services/jobs' );
+const userRepository = require( './repository/UserRepository' );
 
+// their queued writes are finished before the process exits
+const repositories = [
+    userRepository,
+    require( './repository/PaymentRepository' ),
+    require( './repository/WebhookRepository' ),
+    require( './repository/DeliveryRepository' ),
+    require( './repository/JobRepository' ),
+    require( './repository/PostRepository' ),
+];
+
+// /healthz, /readyz and /metrics
+app.use( healthRoutes );
+app.use( metricsRoutes );
+
+app.use( collectMetrics );
+app.use( requestLogger );
+app.use( rateLimit( { name: 'global', limit: 300, windowMs: 60 * 1000 } ) );
 app.use( express.json() );
 
+userAgentRules.watch();
+
+// Log rotation and cleanup, see services/jobs.js. /api/jobs lists, pauses and runs them
+defineJobs( scheduler );
+
+// Dependency checks for /readyz: the data, log and upload directories must be writable
+const writable = ( dir ) => async () => {
+    await fs.mkdir( dir, { recursive: true } );
+    await fs.access( dir, fs.constants.W_OK );
+};
+
+health.registerCheck( 'storage', writable( config.dataDir ) );
+health.registerCheck( 'accessLog', writable( accessLogger.dir ) );
+health.registerCheck( 'uploads', writable( config.uploadDir ) );
+health.registerCheck( 'users', () => userRepository.load() );
+
+
+// /api/openapi.json and /api/docs
+app.use( '/api', docsRoutes );
+
+// register and login need no token
+for ( const { path, router } of routes.filter( ( route ) => !route.authenticated ) ) {
+    app.use( path, checkUserAgent, router );
+}
+
+// Every other /api router needs one. Several of them share /api, so the checks are mounted once in
+// front of all of them: a request goes through isValid and checkUserAgent once, whichever router answers it
+app.use( '/api', isValid, checkUserAgent );
+
+for ( const { path, router } of routes.filter( ( route ) => route.authenticated ) ) {
+    app.use( path, router );
+}
+
+app.use( notFound );
+app.use( errorHandler );
+
+// The dispatcher and the scheduler load their unfinished work from disk: the server only listens once they have
+const start = async () => {
+    await webhookDispatcher.start();
+    await scheduler.start();
 
-app.use( '/api', isValid, checkUserAgent, userRoutes );
+    const server = app.listen( config.port, () => {
+        log.info( `Server is running on port ${ config.port } (${ config.env })` );
+    } );
 
-const port = process.env.PORT;
+    // SIGTERM / SIGINT: finish the open requests, then flush everything that is still in memory
+    handleShutdown( server, {
+        logger: log,
+        cleanup: [
+            () => webhookDispatcher.stop(),
+            () => scheduler.stop(),
+            () => userAgentRules.unwatch(),
+            () => Promise.all( repositories.map( ( repository ) => repository.flush() ) ),
+            () => accessLogger.close(),
+        ],
+    } );
+};
 
-app.listen( port, () => {
-    console.log( `Server is running on port ${ port }` );
+start().catch( ( error ) => {
+    log.error( 'Failed to start:', error );
+    process.exit( 1 );
 } );
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { ForbiddenError } = require( '../utils/errors' );
+
+// Both run after isValid, which sets req.user
+
+// router.delete( '/users/:id', requireRole( 'admin' ), ... )
+exports.requireRole = ( ...roles ) => {
+    const middleware = ( req, res, next ) => {
+        if ( !roles.includes( req.user.role ) ) {
+            throw new ForbiddenError( `Requires role ${ roles.join( ' or ' ) }` );
+        };
+
+        next();
+    };
+
+    // read by utils/openapi.js
+    middleware.access = { roles, self: false };
+
+    return middleware;
+};
+
+// The caller must own the :id resource, unless they have one of the given roles
+exports.requireSelfOrRole = ( ...roles ) => {
+    const middleware = ( req, res, next ) => {
+        if ( Number( req.params.id ) !== req.user.id && !roles.includes( req.user.role ) ) {
+            throw new ForbiddenError( 'You can only access your own account' );
+        };
+
+        next();
+    };
+
+    middleware.access = { roles, self: true };
+
+    return middleware;
+};
@@ -1,32 +1,22 @@
-const { saveUserAgent } = require( "../utils/logger" );
+const userAgentRules = require( "../utils/userAgentRules" );
+const { ForbiddenError } = require( "../utils/errors" );
+const log = require( "../utils/log" );
 
+// Rules live in config/userAgentRules.json and are reloaded when the file changes.
+// Every request, blocked or not, is recorded by the requestLogger middleware
 exports.checkUserAgent = ( req, res, next ) => {
     const userAgent = req.headers[ 'user-agent' ];
-    const blockedPatterns = [
-        /curl/i,
-        /wget/i,
-        /python-requests/i,
-        /Go-http-client/i,
-        /Java/i,
-        /sqlmap/i,
-        /nmap/i,
-        /Nikto/i,
-        /HeadlessChrome/i,
-        /PhantomJS/i
-    ];
+    const { action, monitor, reason } = userAgentRules.evaluate( userAgent, req.originalUrl.split( '?' )[ 0 ] );
 
-    const isBlocked = blockedPatterns.some( ( pattern ) => pattern.test( userAgent ) );
+    res.locals.userAgentCheck = action === 'block' ? 'blocked' : monitor ? 'monitored' : 'allowed';
 
-    console.log( `The agent is ${ userAgent }` );
-
-    // Save to JSON file
-    saveUserAgent( userAgent );
+    if ( monitor ) {
+        log.warn( `Monitor mode: would have blocked "${ userAgent }" (${ reason })` );
+    };
 
-    if ( !userAgent || isBlocked ) {
-        return res.status( 403 ).json( {
-            message: "Forbidden: Suspicious User-Agent"
-        } );
+    if ( action === 'block' ) {
+        throw new ForbiddenError( "Suspicious User-Agent" );
     };
 
     next();
-}
\ No newline at end of file
+}
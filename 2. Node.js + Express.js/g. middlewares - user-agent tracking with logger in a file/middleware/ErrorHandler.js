@@ -0,0 +1,40 @@
+const http = require( 'http' );
+const { HttpError, NotFoundError } = require( '../utils/errors' );
+const log = require( '../utils/log' );
+
+// Last route: nothing else matched
+exports.notFound = ( req, res, next ) => {
+    next( new NotFoundError( `Cannot ${ req.method } ${ req.originalUrl.split( '?' )[ 0 ] }` ) );
+};
+
+// Every error ends up here, including rejected promises from async handlers (Express 5 forwards them).
+// The body follows RFC 7807: { type, title, status, detail, instance, ...extensions }
+exports.errorHandler = ( error, req, res, next ) => {
+    if ( res.headersSent ) {
+        return next( error );
+    }
+
+    let status = 500;
+    let detail = 'Something went wrong';
+    let extensions = {};
+
+    if ( error instanceof HttpError ) {
+        ( { status, extensions } = error );
+        detail = error.message;
+    } else if ( error.expose && error.status ) {
+        // errors from Express itself and body-parser, e.g. invalid JSON
+        status = error.status;
+        detail = error.message;
+    } else {
+        log.error( error );
+    }
+
+    res.status( status ).type( 'application/problem+json' ).json( {
+        type: 'about:blank',
+        title: http.STATUS_CODES[ status ],
+        status,
+        detail,
+        instance: req.originalUrl.split( '?' )[ 0 ],
+        ...extensions,
+    } );
+};
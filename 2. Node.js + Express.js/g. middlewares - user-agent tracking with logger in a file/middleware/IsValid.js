@@ -1,11 +1,35 @@
-exports.isValid = ( req, res, next ) => {
-    console.log( req.query.token ); // we can grab query param from 'req' parameter
+const { verifyToken } = require( '../utils/token' );
+const userRepository = require( '../repository/UserRepository' );
+const { ValidationError, UnauthorizedError } = require( '../utils/errors' );
 
-    if ( req.query.token === "123" ) {
-        next();
-    } else {
-        res.status( 401 ).json( {
-            message: 'Unauthorized: Invalid Token'
-        } );
+// Expects 'Authorization: Bearer <token>'. The token itself is never logged
+exports.isValid = async ( req, res, next ) => {
+    if ( req.query.token !== undefined ) {
+        throw new ValidationError( 'Tokens must be sent in the Authorization header, not the query string' );
     };
-};
\ No newline at end of file
+
+    const [ scheme, token ] = ( req.headers.authorization || '' ).split( ' ' );
+
+    if ( scheme !== 'Bearer' || !token ) {
+        throw new UnauthorizedError( 'Missing Bearer token' );
+    };
+
+    let claims;
+
+    try {
+        claims = verifyToken( token );
+    } catch ( error ) {
+        throw new UnauthorizedError( error.message );
+    };
+
+    // the user may have been deleted after the token was issued
+    const user = await userRepository.findById( claims.sub );
+
+    if ( !user ) {
+        throw new UnauthorizedError( 'Invalid token' );
+    };
+
+    req.user = { id: user.id, name: user.name, email: user.email, role: user.role };
+
+    next();
+};
@@ -0,0 +1,36 @@
+const metrics = require( '../utils/metrics' );
+
+// Counts every request and how long it took, per route, for GET /metrics.
+// The route is the pattern that matched (/api/users/:id), so the number of series stays fixed
+// however many users there are. Requests no route matched are counted together as 'unmatched'
+exports.collectMetrics = ( req, res, next ) => {
+    const start = process.hrtime.bigint();
+    let route = null;
+
+    // req.baseUrl is only right while the router runs: once an error leaves the router it is reset,
+    // so the full pattern is taken when the router sets req.route
+    Object.defineProperty( req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: ( value ) => {
+            route = value;
+            res.locals.metricsRoute = `${ req.baseUrl }${ value.path }`;
+        },
+    } );
+
+    metrics.requestStarted();
+
+    res.on( 'close', () => metrics.requestClosed() );
+
+    res.on( 'finish', () => {
+        metrics.requestFinished( {
+            method: req.method,
+            route: res.locals.metricsRoute || 'unmatched',
+            status: res.statusCode,
+            seconds: Number( process.hrtime.bigint() - start ) / 1e9,
+        } );
+    } );
+
+    next();
+};
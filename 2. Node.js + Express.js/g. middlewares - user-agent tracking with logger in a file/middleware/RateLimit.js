@@ -0,0 +1,77 @@
+const crypto = require( 'crypto' );
+const { MemoryStore } = require( '../utils/rateLimitStore' );
+const { TooManyRequestsError } = require( '../utils/errors' );
+
+const defaultStore = new MemoryStore();
+
+// Who a request counts against. 'token' uses a hash, so raw tokens are never kept in memory
+const KEYS = {
+    ip: ( req ) => req.ip,
+    token: ( req ) => {
+        const authorization = req.headers.authorization;
+
+        return authorization
+            ? crypto.createHash( 'sha256' ).update( authorization ).digest( 'hex' )
+            : req.ip;
+    },
+    // needs isValid before it. Falls back to the IP for anonymous requests
+    user: ( req ) => ( req.user ? `user:${ req.user.id }` : req.ip ),
+};
+
+// router.post( '/login', rateLimit( { name: 'login', limit: 5, windowMs: 15 * 60 * 1000 } ), ... )
+// algorithm: 'fixed-window' (limit requests per windowMs) or 'token-bucket' (burst of limit, refillPerSecond after that)
+exports.rateLimit = ( {
+    name = 'global',
+    algorithm = 'fixed-window',
+    limit = 100,
+    windowMs = 60 * 1000,
+    refillPerSecond = 1,
+    keyBy = 'ip',
+    store = defaultStore,
+} = {} ) => {
+    const getKey = typeof keyBy === 'function' ? keyBy : KEYS[ keyBy ];
+
+    if ( !getKey ) {
+        throw new Error( `Unknown rate limit key "${ keyBy }", use ${ Object.keys( KEYS ).join( ', ' ) } or a function` );
+    }
+
+    if ( ![ 'fixed-window', 'token-bucket' ].includes( algorithm ) ) {
+        throw new Error( `Unknown rate limit algorithm "${ algorithm }"` );
+    }
+
+    const policy = algorithm === 'fixed-window'
+        ? `${ limit };w=${ Math.ceil( windowMs / 1000 ) }`
+        : `${ limit };w=${ Math.ceil( limit / refillPerSecond ) }`;
+
+    return async ( req, res, next ) => {
+        const key = `${ name }:${ getKey( req ) }`;
+        let allowed, remaining, resetAt;
+
+        if ( algorithm === 'fixed-window' ) {
+            const result = await store.increment( key, windowMs );
+
+            allowed = result.count <= limit;
+            remaining = Math.max( 0, limit - result.count );
+            resetAt = result.resetAt;
+        } else {
+            ( { allowed, remaining, resetAt } = await store.consume( key, { capacity: limit, refillPerSecond } ) );
+        }
+
+        const resetSeconds = Math.max( 0, Math.ceil( ( resetAt - Date.now() ) / 1000 ) );
+
+        res.set( {
+            'RateLimit-Policy': policy,
+            'RateLimit-Limit': limit,
+            'RateLimit-Remaining': remaining,
+            'RateLimit-Reset': resetSeconds,
+        } );
+
+        if ( !allowed ) {
+            res.set( 'Retry-After', resetSeconds );
+
+            throw new TooManyRequestsError( `Try again in ${ resetSeconds } seconds` );
+        };
+
+        next();
+    };
+};
@@ -0,0 +1,23 @@
+const { accessLogger } = require( '../utils/logger' );
+
+// One JSON line per request, written when the response has been sent.
+// Only the path is logged, never the query string or headers other than the User-Agent
+exports.requestLogger = ( req, res, next ) => {
+    const start = process.hrtime.bigint();
+
+    res.on( 'finish', () => {
+        accessLogger.log( {
+            timestamp: new Date().toISOString(),
+            method: req.method,
+            path: req.originalUrl.split( '?' )[ 0 ],
+            status: res.statusCode,
+            latencyMs: Math.round( Number( process.hrtime.bigint() - start ) / 1e3 ) / 1e3,
+            ip: req.ip,
+            userAgent: req.headers[ 'user-agent' ] || null,
+            // set by checkUserAgent: 'allowed', 'blocked' or 'monitored', null if it did not run
+            userAgentCheck: res.locals.userAgentCheck || null,
+        } );
+    } );
+
+    next();
+};
@@ -0,0 +1,175 @@
+const fs = require( 'fs/promises' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+const config = require( '../config' );
+const { boundaryOf, sanitizeFilename, parseMultipart } = require( '../utils/multipart' );
+const { HEADER_SIZE, detectFileType } = require( '../utils/fileType' );
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require( '../utils/errors' );
+
+// Files are streamed here first. The handler moves the ones it keeps, the rest are deleted after the response
+const tempDir = path.join( config.uploadDir, 'tmp' );
+
+// router.put( '/users/:id/avatar', upload( { field: 'avatar', types: IMAGE_TYPES, maxFiles: 1 } ), handler )
+// Parses a multipart/form-data body. The files end up in req.files:
+//   [ { field, originalName, mimeType, extension, size, path } ]
+// and the text fields in req.body. The type is taken from the file's first bytes, never from its name
+// or the Content-Type the client sent.
+// 413 when a file or the request is too large or has too many files, 415 for a type not in types
+exports.upload = ( {
+    field,
+    types,
+    maxFiles = 1,
+    maxFileSize = config.uploadMaxFileSize,
+    maxFields = 20,
+    maxFieldSize = 100 * 1024,
+} ) => {
+    const middleware = async ( req, res, next ) => {
+        const boundary = boundaryOf( req.headers[ 'content-type' ] );
+
+        if ( !boundary ) {
+            throw new UnsupportedMediaTypeError( 'Expected a multipart/form-data body' );
+        }
+
+        // no need to read a body that cannot fit, whatever is in it
+        const maxBodySize = maxFiles * maxFileSize + maxFields * maxFieldSize + 64 * 1024;
+
+        if ( Number( req.headers[ 'content-length' ] ) > maxBodySize ) {
+            res.set( 'Connection', 'close' );
+            throw new PayloadTooLargeError( `The request is larger than ${ maxBodySize } bytes` );
+        }
+
+        const files = [];
+        const fields = {};
+        const openHandles = new Set();
+
+        // temp files are removed once the response is sent; the ones the handler moved are already gone
+        res.on( 'close', () => {
+            for ( const file of files.filter( ( file ) => file.path ) ) {
+                fs.rm( file.path, { force: true } ).catch( () => {} );
+            }
+        } );
+
+        const fileSink = async ( name, filename ) => {
+            if ( name !== field ) {
+                throw new ValidationError( `Unexpected file field "${ name }", expected "${ field }"` );
+            }
+
+            if ( files.length >= maxFiles ) {
+                throw new PayloadTooLargeError( `Too many files, at most ${ maxFiles }` );
+            }
+
+            const file = { field: name, originalName: sanitizeFilename( filename ), mimeType: null, extension: null, size: 0, path: null };
+            let head = Buffer.alloc( 0 );
+            let handle = null;
+
+            files.push( file );
+
+            // nothing is written until the first bytes show what the file is
+            const open = async () => {
+                const type = detectFileType( head );
+
+                if ( !type || ( types && !types.includes( type.mimeType ) ) ) {
+                    throw new UnsupportedMediaTypeError( `${ file.originalName } is not an allowed file type${ types ? ` (${ types.join( ', ' ) })` : '' }` );
+                }
+
+                Object.assign( file, type, { path: path.join( tempDir, `${ crypto.randomUUID() }.upload` ) } );
+
+                await fs.mkdir( tempDir, { recursive: true } );
+                handle = await fs.open( file.path, 'wx' );
+                openHandles.add( handle );
+                await handle.write( head );
+            };
+
+            return {
+                write: async ( chunk ) => {
+                    file.size += chunk.length;
+
+                    if ( file.size > maxFileSize ) {
+                        throw new PayloadTooLargeError( `${ file.originalName } is larger than ${ maxFileSize } bytes` );
+                    }
+
+                    if ( handle ) {
+                        await handle.write( chunk );
+                    } else {
+                        head = Buffer.concat( [ head, chunk ] );
+
+                        if ( head.length >= HEADER_SIZE ) {
+                            await open();
+                        }
+                    }
+                },
+                end: async () => {
+                    if ( !handle ) {
+                        await open();
+                    }
+
+                    await handle.close();
+                    openHandles.delete( handle );
+                    handle = null;
+                },
+            };
+        };
+
+        const fieldSink = ( name ) => {
+            if ( Object.keys( fields ).length >= maxFields ) {
+                throw new PayloadTooLargeError( `Too many fields, at most ${ maxFields }` );
+            }
+
+            const chunks = [];
+            let size = 0;
+
+            return {
+                write: async ( chunk ) => {
+                    size += chunk.length;
+
+                    if ( size > maxFieldSize ) {
+                        throw new PayloadTooLargeError( `Field "${ name }" is larger than ${ maxFieldSize } bytes` );
+                    }
+
+                    chunks.push( chunk );
+                },
+                end: async () => {
+                    fields[ name ] = Buffer.concat( chunks ).toString( 'utf8' );
+                },
+            };
+        };
+
+        // a file input left empty in a browser form still sends a part, with filename=""
+        const skip = { write: async () => {}, end: async () => {} };
+
+        try {
+            await parseMultipart( req, {
+                boundary,
+                maxParts: maxFiles + maxFields + 10,
+                onPart: async ( { name, filename } ) => {
+                    if ( !name ) {
+                        throw new ValidationError( 'Every multipart part needs a name' );
+                    }
+
+                    if ( filename === undefined ) {
+                        return fieldSink( name );
+                    }
+
+                    return filename === '' ? skip : fileSink( name, filename );
+                },
+            } );
+        } catch ( error ) {
+            // the rest of the body is never read, so the connection cannot be reused for another request
+            res.set( 'Connection', 'close' );
+            throw error;
+        } finally {
+            // a file that was cut off by an error is still open
+            await Promise.all( [ ...openHandles ].map( ( handle ) => handle.close().catch( () => {} ) ) );
+        }
+
+        req.files = files;
+        req.body = fields;
+
+        return next();
+    };
+
+    // for the OpenAPI document (utils/openapi.js)
+    middleware.upload = { field, types, maxFiles, maxFileSize };
+
+    return middleware;
+};
@@ -0,0 +1,58 @@
+const { ValidationError } = require( '../utils/errors' );
+
+const OPTIONS = {
+    abortEarly: false, // report every problem, not just the first one
+    convert: true, // '2' -> 2 for numbers, trims strings, applies defaults
+    stripUnknown: true, // body fields the schema does not know are dropped
+};
+
+// Per part: headers are only checked, every request has many more headers than the schema lists.
+// An unknown query parameter is a 400, not dropped: ?pgae=2 is a typo the caller should hear about
+const PART_OPTIONS = {
+    headers: { ...OPTIONS, allowUnknown: true, stripUnknown: false },
+    query: { ...OPTIONS, allowUnknown: false, stripUnknown: false },
+};
+
+// router.post( '/users', validate( { body: userSchema } ), userController.createUser )
+// Replaces req.body, req.params and req.query with the validated values, so handlers only see clean data.
+// A headers schema is only checked, req.headers stays as it is (use lowercase header names)
+exports.validate = ( schemas ) => {
+    const middleware = ( req, res, next ) => {
+        const errors = [];
+
+        for ( const part of [ 'headers', 'params', 'query', 'body' ] ) {
+            if ( !schemas[ part ] ) {
+                continue;
+            }
+
+            const { error, value } = schemas[ part ].validate( req[ part ] ?? {}, PART_OPTIONS[ part ] || OPTIONS );
+
+            if ( error ) {
+                errors.push( ...error.details.map( ( detail ) => ( { ...detail, in: part } ) ) );
+                continue;
+            }
+
+            if ( part === 'headers' ) {
+                continue;
+            }
+
+            if ( part === 'query' ) {
+                // req.query is a getter in Express 5, so it has to be redefined
+                Object.defineProperty( req, 'query', { value, writable: true, configurable: true, enumerable: true } );
+            } else {
+                req[ part ] = value;
+            }
+        }
+
+        if ( errors.length > 0 ) {
+            throw new ValidationError( { details: errors } );
+        }
+
+        next();
+    };
+
+    // read by utils/openapi.js
+    middleware.schemas = schemas;
+
+    return middleware;
+};
@@ -0,0 +1,8 @@
+const Joi = require( 'joi' );
+
+// GET /admin/agents?window=24h&top=10. window is a number followed by m (minutes), h (hours) or d (days)
+exports.agentStatsQuerySchema = Joi.object( {
+    window: Joi.string().pattern( /^[1-9]\d*[mhd]$/ ).default( '24h' )
+        .messages( { 'string.pattern.base': '"window" must look like 30m, 24h or 7d' } ),
+    top: Joi.number().integer().min( 1 ).max( 100 ).default( 10 ),
+} );
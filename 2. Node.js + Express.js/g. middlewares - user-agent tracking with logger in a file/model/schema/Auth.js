@@ -0,0 +1,13 @@
+const Joi = require( 'joi' );
+const { userSchema } = require( './User' );
+
+// role is decided by the server, never by the caller
+exports.registerSchema = userSchema.keys( {
+    role: Joi.forbidden(),
+    password: Joi.string().min( 8 ).max( 128 ).required(),
+} );
+
+exports.loginSchema = Joi.object( {
+    email: Joi.string().email().required(),
+    password: Joi.string().required(),
+} );
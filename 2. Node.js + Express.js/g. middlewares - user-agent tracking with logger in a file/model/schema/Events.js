@@ -0,0 +1,35 @@
+const Joi = require( 'joi' );
+const { ROLES } = require( './User' );
+const { CURRENCIES, PAYMENT_STATUSES } = require( './Payment' );
+
+// Payload of every domain event on the event bus (utils/events.js). Publishing an event that is
+// not listed here, or a payload that does not match, is a bug: it is logged and no listener gets it
+
+const user = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+    name: Joi.string().required(),
+    email: Joi.string().required(),
+    role: Joi.string().valid( ...ROLES ).required(),
+} );
+
+const payment = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+    userId: Joi.number().integer().positive().required(),
+    amount: Joi.number().integer().positive().required(),
+    currency: Joi.string().valid( ...CURRENCIES ).required(),
+    description: Joi.string(),
+    status: Joi.string().valid( ...PAYMENT_STATUSES ).required(),
+    failureReason: Joi.string(),
+    createdAt: Joi.string().isoDate().required(),
+    updatedAt: Joi.string().isoDate().required(),
+    history: Joi.array().items( Joi.object( {
+        status: Joi.string().valid( ...PAYMENT_STATUSES ).required(),
+        at: Joi.string().isoDate().required(),
+    } ) ).required(),
+} );
+
+exports.EVENT_SCHEMAS = {
+    'user.created': user,
+    'payment.created': payment,
+    'payment.updated': payment,
+};
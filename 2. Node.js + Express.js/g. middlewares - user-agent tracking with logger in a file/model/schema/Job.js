@@ -0,0 +1,10 @@
+const Joi = require( 'joi' );
+const { listQuerySchema } = require( './ListQuery' );
+
+// /jobs/:name, e.g. /jobs/rotate-access-log
+exports.jobNameSchema = Joi.object( {
+    name: Joi.string().pattern( /^[a-z0-9-]+$/ ).max( 100 ).required(),
+} );
+
+// GET /jobs: ?sort=nextRunAt&fields=name,paused,lastRun&name=
+exports.jobListQuerySchema = listQuerySchema( [ 'name', 'cron', 'everyMs', 'paused', 'running', 'nextRunAt', 'lastRun', 'runs', 'failures', 'skippedRuns', 'missedRuns' ], [ 'name' ] );
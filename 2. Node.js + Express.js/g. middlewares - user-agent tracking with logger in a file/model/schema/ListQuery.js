@@ -0,0 +1,18 @@
+const Joi = require( 'joi' );
+
+const listOf = ( fields, { descending = false } = {} ) => {
+    const field = `${ descending ? '-?' : '' }(${ fields.join( '|' ) })`;
+
+    return new RegExp( `^${ field }(,${ field })*$` );
+};
+
+// Query schema for list routes. sortable: fields allowed in ?sort= and ?fields=, filters: substring filters
+exports.listQuerySchema = ( sortable, filters = [] ) => Joi.object( {
+    page: Joi.number().integer().min( 1 ).default( 1 ),
+    limit: Joi.number().integer().min( 1 ).max( 100 ).default( 10 ),
+    sort: Joi.string().pattern( listOf( sortable, { descending: true } ) )
+        .messages( { 'string.pattern.base': `"sort" must be a comma separated list of ${ sortable.join( ', ' ) }, optionally prefixed with -` } ),
+    fields: Joi.string().pattern( listOf( sortable ) )
+        .messages( { 'string.pattern.base': `"fields" must be a comma separated list of ${ sortable.join( ', ' ) }` } ),
+    ...Object.fromEntries( filters.map( ( field ) => [ field, Joi.string().trim().min( 1 ).max( 100 ) ] ) ),
+} );
@@ -0,0 +1,34 @@
+const Joi = require( 'joi' );
+const { listQuerySchema } = require( './ListQuery' );
+
+exports.CURRENCIES = [ 'USD', 'EUR', 'GBP', 'BDT', 'INR', 'JPY' ];
+
+// Status lifecycle: which status can follow which
+exports.PAYMENT_TRANSITIONS = {
+    pending: [ 'authorized', 'failed' ],
+    authorized: [ 'captured', 'failed' ],
+    captured: [ 'refunded' ],
+    refunded: [],
+    failed: [],
+};
+
+exports.PAYMENT_STATUSES = Object.keys( exports.PAYMENT_TRANSITIONS );
+
+// amount is in minor units (cents for USD, poisha for BDT), so there are no rounding errors
+exports.paymentSchema = Joi.object( {
+    amount: Joi.number().integer().min( 1 ).max( 100000000 ).required(),
+    currency: Joi.string().trim().uppercase().valid( ...exports.CURRENCIES ).required(),
+    description: Joi.string().trim().max( 255 ),
+} );
+
+exports.paymentIdSchema = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+} );
+
+// POST /users/:id/payments needs one, so a retried request never charges twice
+exports.idempotencyHeadersSchema = Joi.object( {
+    'idempotency-key': Joi.string().min( 1 ).max( 255 ).required(),
+} );
+
+// GET /users/:id/payments: ?page=&limit=&sort=-createdAt&fields=&status=
+exports.paymentListQuerySchema = listQuerySchema( [ 'id', 'amount', 'currency', 'status', 'createdAt' ], [ 'status', 'currency' ] );
@@ -0,0 +1,24 @@
+const Joi = require( 'joi' );
+const { listQuerySchema } = require( './ListQuery' );
+
+// /posts/:id
+exports.postIdSchema = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+} );
+
+// id, authorId and the timestamps are set by the server
+exports.postSchema = Joi.object( {
+    title: Joi.string().trim().min( 1 ).max( 200 ).required(),
+    body: Joi.string().trim().min( 1 ).max( 10000 ).required(),
+} );
+
+// PATCH: the same fields, all optional, but at least one is needed
+exports.postPatchSchema = exports.postSchema
+    .fork( [ 'title', 'body' ], ( field ) => field.optional() )
+    .min( 1 );
+
+// GET /posts and /users/:id/posts: ?q=node express&page=&limit=&sort=-createdAt&fields=&title=
+// q searches title and body, the best matches first unless sort is given
+exports.postListQuerySchema = listQuerySchema( [ 'id', 'authorId', 'title', 'createdAt', 'updatedAt' ], [ 'title' ] ).keys( {
+    q: Joi.string().trim().min( 1 ).max( 200 ),
+} );
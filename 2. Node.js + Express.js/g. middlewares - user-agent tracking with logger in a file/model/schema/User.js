@@ -1,7 +1,24 @@
 const Joi = require( 'joi' );
+const { listQuerySchema } = require( './ListQuery' );
 
+exports.ROLES = [ 'admin', 'user' ];
+
+// /users/:id
+exports.userIdSchema = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+} );
+
+// id is not part of the schema, the repository assigns it. Only admins may set role
 exports.userSchema = Joi.object( {
-    id: Joi.number().positive().required(),
-    name: Joi.string().min( 3 ).max( 100 ).required(),
-    email: Joi.string().email().required(),
+    name: Joi.string().trim().min( 3 ).max( 100 ).required(),
+    email: Joi.string().trim().email().required(),
+    role: Joi.string().valid( ...exports.ROLES ),
 } );
+
+// PATCH: the same fields, all optional, but at least one is needed
+exports.userPatchSchema = exports.userSchema
+    .fork( [ 'name', 'email' ], ( field ) => field.optional() )
+    .min( 1 );
+
+// GET /users: ?page=&limit=&sort=name,-id&fields=id,email&name=&email=
+exports.userListQuerySchema = listQuerySchema( [ 'id', 'name', 'email', 'role' ], [ 'name', 'email' ] );
@@ -0,0 +1,33 @@
+const Joi = require( 'joi' );
+const { listQuerySchema } = require( './ListQuery' );
+
+// Events a webhook can subscribe to. '*' subscribes to all of them
+exports.WEBHOOK_EVENTS = [ 'user.created', 'payment.created', 'payment.updated' ];
+
+exports.DELIVERY_STATUSES = [ 'pending', 'retrying', 'delivered', 'dead' ];
+
+exports.webhookSchema = Joi.object( {
+    url: Joi.string().trim().uri( { scheme: [ 'http', 'https' ] } ).max( 2048 ).required(),
+    events: Joi.array().items( Joi.string().valid( '*', ...exports.WEBHOOK_EVENTS ) ).min( 1 ).unique().required(),
+    description: Joi.string().trim().max( 255 ),
+    active: Joi.boolean().default( true ),
+} );
+
+// PATCH: any of the fields, but at least one
+exports.webhookPatchSchema = exports.webhookSchema
+    .fork( [ 'url', 'events' ], ( schema ) => schema.optional() )
+    .keys( { active: Joi.boolean() } )
+    .min( 1 );
+
+exports.webhookIdSchema = Joi.object( {
+    id: Joi.number().integer().positive().required(),
+} );
+
+exports.deliveryIdSchema = exports.webhookIdSchema.keys( {
+    deliveryId: Joi.number().integer().positive().required(),
+} );
+
+exports.webhookListQuerySchema = listQuerySchema( [ 'id', 'url', 'active', 'createdAt' ], [ 'url' ] );
+
+// GET /webhooks/:id/deliveries?status=dead lists the dead letters
+exports.deliveryListQuerySchema = listQuerySchema( [ 'id', 'event', 'status', 'createdAt' ], [ 'event', 'status' ] );
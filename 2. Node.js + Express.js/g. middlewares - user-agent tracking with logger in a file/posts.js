@@ -0,0 +1,21 @@
+// The posts of get-posts.js (1. Node.js/c. common vs module importing), now with an author and timestamps
+const posts = [
+    {
+        id: 1,
+        authorId: 1,
+        title: "Hey!",
+        body: "Hi!",
+        createdAt: "2026-01-01T00:00:00.000Z",
+        updatedAt: "2026-01-01T00:00:00.000Z"
+    },
+    {
+        id: 2,
+        authorId: 2,
+        title: "Hey there!",
+        body: "Hi, how are you?",
+        createdAt: "2026-01-02T00:00:00.000Z",
+        updatedAt: "2026-01-02T00:00:00.000Z"
+    },
+];
+
+module.exports = posts;
@@ -0,0 +1,28 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+
+const deliveriesFile = path.join( config.dataDir, 'deliveries.json' );
+
+// The webhook delivery log in data/deliveries.json. Dead deliveries stay here as dead letters
+class DeliveryRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'deliveries' } );
+    }
+
+    async findByWebhook( webhookId ) {
+        return this.findAll( ( delivery ) => delivery.webhookId === Number( webhookId ) );
+    }
+
+    // Deliveries that still have to be sent, e.g. after a restart
+    async findUnfinished() {
+        return this.findAll( ( delivery ) => delivery.status === 'pending' || delivery.status === 'retrying' );
+    }
+
+    // Delivered and dead deliveries created before the date. Unfinished ones are always kept
+    async removeFinishedBefore( date ) {
+        return this.removeWhere( ( delivery ) => ( delivery.status === 'delivered' || delivery.status === 'dead' ) && Date.parse( delivery.createdAt ) < date.getTime() );
+    }
+}
+
+module.exports = new DeliveryRepository( deliveriesFile );
@@ -0,0 +1,26 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+
+const jobsFile = path.join( config.dataDir, 'jobs.json' );
+
+// State of the scheduled jobs in data/jobs.json (paused, next and last run, counters), so it survives a restart.
+// The jobs themselves are defined in code, see services/jobs.js
+class JobRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'jobs' } );
+    }
+
+    async findByName( name ) {
+        return this.findOne( ( job ) => job.name === name );
+    }
+
+    // Update the job's state, or create it the first time
+    async save( name, changes ) {
+        const existing = await this.findByName( name );
+
+        return existing ? this.update( existing.id, changes ) : this.create( { name, ...changes } );
+    }
+}
+
+module.exports = new JobRepository( jobsFile );
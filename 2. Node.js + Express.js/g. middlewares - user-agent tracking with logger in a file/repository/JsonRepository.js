@@ -0,0 +1,152 @@
+const fileStore = require( '../utils/fileStore' );
+
+// Stores one collection in a JSON file: { nextId, <collection>: [ ... ] }.
+// The whole file is kept in memory and rewritten on every change. Records handed out are copies,
+// so callers cannot change the stored data by accident.
+class JsonRepository {
+    constructor( filePath, { collection, seed = [] } ) {
+        this.filePath = filePath;
+        this.collection = collection;
+        this.seed = seed;
+        this.state = null;
+        this.changing = Promise.resolve();
+    }
+
+    // Read the file once. If it does not exist yet, or is corrupt and has no backup, start from the seed records
+    async load() {
+        if ( !this.state ) {
+            const items = structuredClone( this.seed );
+            const nextId = items.reduce( ( max, item ) => Math.max( max, item.id ), 0 ) + 1;
+
+            this.state = fileStore.readJson( this.filePath, { fallback: { nextId, [ this.collection ]: items } } )
+                .catch( ( error ) => {
+                    this.state = null;
+                    throw error;
+                } );
+        }
+
+        return this.state;
+    }
+
+    async items() {
+        return ( await this.load() )[ this.collection ];
+    }
+
+    // Runs fn on a copy of the state and writes the copy (atomic, with a backup, see utils/fileStore.js). The copy
+    // replaces the state in memory only once it is on disk, so a failed write changes nothing, and readers never
+    // see a record that is not stored yet. Changes run one at a time, each on the result of the one before.
+    // fn returns what the caller gets, or nothing when there is nothing to write
+    change( fn ) {
+        const run = this.changing.then( async () => {
+            const state = structuredClone( await this.load() );
+            const result = fn( state );
+
+            if ( result !== undefined ) {
+                await fileStore.writeJson( this.filePath, state, { backup: true } );
+                this.state = Promise.resolve( state );
+            }
+
+            return result;
+        } );
+
+        // the caller gets the error, the next change still runs
+        this.changing = run.catch( () => {} );
+
+        return run;
+    }
+
+    // Wait for the changes and writes that are still queued, e.g. before the process exits
+    async flush() {
+        await this.changing;
+        await fileStore.flush( this.filePath );
+    }
+
+    async findAll( filter = () => true ) {
+        return structuredClone( ( await this.items() ).filter( filter ) );
+    }
+
+    async findOne( predicate ) {
+        const item = ( await this.items() ).find( predicate );
+
+        return item ? structuredClone( item ) : null;
+    }
+
+    async findById( id ) {
+        return this.findOne( ( item ) => item.id === Number( id ) );
+    }
+
+    // Called with a record as it is about to be stored, and every stored record. Throw to refuse the write.
+    // It runs inside change(), so no other change can touch the records in between
+    checkWrite( item, items ) {}
+
+    async create( data ) {
+        return this.change( ( state ) => {
+            const item = { ...structuredClone( data ), id: state.nextId };
+
+            this.checkWrite( item, state[ this.collection ] );
+
+            state.nextId += 1;
+            state[ this.collection ].push( item );
+
+            return structuredClone( item );
+        } );
+    }
+
+    // Change only the given fields. Returns null if the record does not exist
+    async update( id, changes ) {
+        const updated = await this.change( ( state ) => {
+            const items = state[ this.collection ];
+            const item = items.find( ( item ) => item.id === Number( id ) );
+
+            if ( !item ) {
+                return;
+            }
+
+            this.checkWrite( { ...item, ...changes, id: item.id }, items );
+
+            Object.assign( item, structuredClone( changes ), { id: item.id } );
+
+            return structuredClone( item );
+        } );
+
+        return updated ?? null;
+    }
+
+    // Returns false if the record does not exist
+    async remove( id ) {
+        const removed = await this.change( ( state ) => {
+            const items = state[ this.collection ];
+            const index = items.findIndex( ( item ) => item.id === Number( id ) );
+
+            if ( index === -1 ) {
+                return;
+            }
+
+            items.splice( index, 1 );
+
+            return true;
+        } );
+
+        return removed ?? false;
+    }
+
+    // Remove every record that matches, in one write. Returns how many were removed
+    async removeWhere( predicate ) {
+        const removed = await this.change( ( state ) => {
+            const kept = state[ this.collection ].filter( ( item ) => !predicate( item ) );
+            const count = state[ this.collection ].length - kept.length;
+
+            if ( count === 0 ) {
+                return;
+            }
+
+            state[ this.collection ] = kept;
+
+            return count;
+        } );
+
+        return removed ?? 0;
+    }
+}
+
+module.exports = JsonRepository;
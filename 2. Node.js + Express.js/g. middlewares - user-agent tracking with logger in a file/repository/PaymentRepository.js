@@ -0,0 +1,64 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+
+const paymentsFile = path.join( config.dataDir, 'payments.json' );
+
+// A retry with the same Idempotency-Key gets the original payment for this long. After that the key is
+// forgotten, and the cleanup-idempotency-keys job (services/jobs.js) removes it from the file
+const IDEMPOTENCY_KEY_TTL = 24 * 60 * 60 * 1000;
+
+// keys stored before createdAt was recorded count as expired
+const isExpired = ( stored, now ) => !( Date.parse( stored.createdAt ) > now - IDEMPOTENCY_KEY_TTL );
+
+// Payments in data/payments.json, together with the idempotency keys that created them
+class PaymentRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'payments' } );
+    }
+
+    async findByUser( userId ) {
+        return this.findAll( ( payment ) => payment.userId === Number( userId ) );
+    }
+
+    // { requestHash, paymentId, createdAt } or null. An expired key is not found, even before the job removes it
+    async findIdempotencyKey( key ) {
+        const state = await this.load();
+        const stored = state.idempotencyKeys?.[ key ];
+
+        return stored && !isExpired( stored, Date.now() ) ? structuredClone( stored ) : null;
+    }
+
+    // Stores the payment and its idempotency key in one write
+    async createWithIdempotencyKey( data, key, requestHash ) {
+        return this.change( ( state ) => {
+            const payment = { ...structuredClone( data ), id: state.nextId };
+
+            state.nextId += 1;
+            state.payments.push( payment );
+            state.idempotencyKeys = { ...state.idempotencyKeys, [ key ]: { requestHash, paymentId: payment.id, createdAt: payment.createdAt } };
+
+            return structuredClone( payment );
+        } );
+    }
+
+    // Removes the keys that expired at the given time, in one write. Returns how many were removed
+    async removeExpiredIdempotencyKeys( now = Date.now() ) {
+        const removed = await this.change( ( state ) => {
+            const keys = Object.entries( state.idempotencyKeys || {} );
+            const kept = keys.filter( ( [ , stored ] ) => !isExpired( stored, now ) );
+
+            if ( kept.length === keys.length ) {
+                return;
+            }
+
+            state.idempotencyKeys = Object.fromEntries( kept );
+
+            return keys.length - kept.length;
+        } );
+
+        return removed ?? 0;
+    }
+}
+
+module.exports = new PaymentRepository( paymentsFile );
@@ -0,0 +1,24 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+const seedPosts = require( '../posts' );
+
+const postsFile = path.join( config.dataDir, 'posts.json' );
+
+// Posts in data/posts.json. The first run starts from the sample posts in posts.js
+class PostRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'posts', seed: seedPosts } );
+    }
+
+    async findByAuthor( authorId ) {
+        return this.findAll( ( post ) => post.authorId === Number( authorId ) );
+    }
+
+    // When the author's account is deleted. Returns how many were removed
+    async removeByAuthor( authorId ) {
+        return this.removeWhere( ( post ) => post.authorId === Number( authorId ) );
+    }
+}
+
+module.exports = new PostRepository( postsFile );
@@ -0,0 +1,61 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+const { ConflictError } = require( '../utils/errors' );
+const seedUsers = require( '../users' );
+
+const usersFile = path.join( config.dataDir, 'users.json' );
+
+// Fields that PUT /users/:id does not replace: the account's, and the avatar (it has its own route)
+const accountFields = [ 'passwordHash', 'role', 'avatar' ];
+
+// Users in data/users.json. The first run starts from the sample users in users.js
+class UserRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'users', seed: seedUsers } );
+    }
+
+    async findByEmail( email ) {
+        return this.findOne( ( user ) => user.email.toLowerCase() === email.toLowerCase() );
+    }
+
+    // Emails are unique, whatever the case. Checked here, right before the write, so two requests
+    // with the same email at the same time cannot both get through
+    checkWrite( user, users ) {
+        const email = user.email.toLowerCase();
+
+        if ( users.some( ( other ) => other.id !== user.id && other.email.toLowerCase() === email ) ) {
+            throw new ConflictError( "Email is already in use" );
+        }
+    }
+
+    async create( data ) {
+        return super.create( { role: 'user', ...data } );
+    }
+
+    // Replace every profile field. Returns null if the user does not exist
+    async replace( id, data ) {
+        const replaced = await this.change( ( state ) => {
+            const users = state.users;
+            const index = users.findIndex( ( user ) => user.id === Number( id ) );
+
+            if ( index === -1 ) {
+                return;
+            }
+
+            const current = users[ index ];
+            const kept = Object.fromEntries( accountFields.filter( ( field ) => field in current ).map( ( field ) => [ field, current[ field ] ] ) );
+            const user = { ...kept, ...structuredClone( data ), id: current.id };
+
+            this.checkWrite( user, users );
+
+            users[ index ] = user;
+
+            return structuredClone( user );
+        } );
+
+        return replaced ?? null;
+    }
+}
+
+module.exports = new UserRepository( usersFile );
@@ -0,0 +1,19 @@
+const path = require( 'path' );
+const JsonRepository = require( './JsonRepository' );
+const config = require( '../config' );
+
+const webhooksFile = path.join( config.dataDir, 'webhooks.json' );
+
+// Webhook subscriptions in data/webhooks.json
+class WebhookRepository extends JsonRepository {
+    constructor( filePath ) {
+        super( filePath, { collection: 'webhooks' } );
+    }
+
+    // Active webhooks that want this event
+    async findSubscribed( event ) {
+        return this.findAll( ( webhook ) => webhook.active && ( webhook.events.includes( event ) || webhook.events.includes( '*' ) ) );
+    }
+}
+
+module.exports = new WebhookRepository( webhooksFile );
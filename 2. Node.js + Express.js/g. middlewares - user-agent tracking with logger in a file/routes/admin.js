@@ -0,0 +1,12 @@
+const express = require( 'express' );
+const router = express.Router();
+const adminController = require( '../controller/AdminController' );
+const { requireRole } = require( '../middleware/Authorize' );
+const { validate } = require( '../middleware/Validate' );
+const { agentStatsQuerySchema } = require( '../model/schema/Admin' );
+
+router.use( requireRole( 'admin' ) );
+
+router.get( '/agents', validate( { query: agentStatsQuerySchema } ), adminController.getAgentStats );
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require( 'express' );
+const router = express.Router();
+const authController = require( '../controller/AuthController' );
+const { rateLimit } = require( '../middleware/RateLimit' );
+const { validate } = require( '../middleware/Validate' );
+const { registerSchema, loginSchema } = require( '../model/schema/Auth' );
+const { describe } = require( '../utils/openapi' );
+
+// slows down password guessing
+const authLimit = rateLimit( { name: 'auth', limit: 10, windowMs: 15 * 60 * 1000 } );
+
+router.post( '/register', describe( { errors: [ 409 ] } ), authLimit, validate( { body: registerSchema } ), authController.register );
+router.post( '/login', describe( { summary: 'Log in and get a token', status: 200, errors: [ 401 ] } ), authLimit, validate( { body: loginSchema } ), authController.login );
+
+module.exports = router;
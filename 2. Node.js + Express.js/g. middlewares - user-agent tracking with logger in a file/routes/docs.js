@@ -0,0 +1,47 @@
+const express = require( 'express' );
+const router = express.Router();
+const swaggerUi = require( 'swagger-ui-dist' );
+const routes = require( './index' );
+const healthRoutes = require( './health' );
+const metricsRoutes = require( './metrics' );
+const { buildOpenApiSpec } = require( '../utils/openapi' );
+const { name, version } = require( '../package.json' );
+
+// index.js mounts these at the root, before the logger, the rate limit and checkUserAgent
+const operational = [ healthRoutes, metricsRoutes ].map( ( router ) => (
+    { path: '', router, controller: {}, tag: 'Operations', authenticated: false, operational: true }
+) );
+
+// Built on the first request, once every router has registered its routes
+let spec = null;
+
+router.get( '/openapi.json', ( req, res ) => {
+    spec = spec || buildOpenApiSpec( [ ...routes, ...operational ], { title: `${ name } API`, version } );
+
+    res.status( 200 ).json( spec );
+} );
+
+// Swagger UI, served from node_modules, no CDN needed
+router.get( '/docs', ( req, res ) => {
+    res.status( 200 ).type( 'html' ).send( `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${ name } API docs</title>
+    <link rel="stylesheet" href="${ req.baseUrl }/docs/assets/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${ req.baseUrl }/docs/assets/swagger-ui-bundle.js"></script>
+    <script src="${ req.baseUrl }/docs/init.js"></script>
+</body>
+</html>` );
+} );
+
+router.get( '/docs/init.js', ( req, res ) => {
+    res.status( 200 ).type( 'js' ).send( `window.ui = SwaggerUIBundle( { url: '${ req.baseUrl }/openapi.json', dom_id: '#swagger-ui' } );` );
+} );
+
+router.use( '/docs/assets', express.static( swaggerUi.getAbsoluteFSPath(), { index: false } ) );
+
+module.exports = router;
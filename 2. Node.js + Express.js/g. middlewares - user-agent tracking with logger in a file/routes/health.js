@@ -0,0 +1,17 @@
+const express = require( 'express' );
+const router = express.Router();
+const health = require( '../../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/health' );
+const { describe } = require( '../utils/openapi' );
+
+// Mounted before every other middleware: probes are not logged, rate limited or checked for their User-Agent
+router.get( '/healthz', describe( { operationId: 'getLiveness', summary: 'Uptime, memory and event-loop lag' } ), ( req, res ) => {
+    res.status( 200 ).set( 'Cache-Control', 'no-store' ).json( health.liveness() );
+} );
+
+router.get( '/readyz', describe( { operationId: 'getReadiness', summary: 'Whether every dependency check passes', responses: { 503: 'A check failed, or the server is shutting down' } } ), async ( req, res ) => {
+    const { ready, ...result } = await health.readiness();
+
+    res.status( ready ? 200 : 503 ).set( 'Cache-Control', 'no-store' ).json( result );
+} );
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// Every API router and where it is mounted. index.js mounts them, utils/openapi.js documents them.
+// authenticated: behind isValid (bearer token), which index.js mounts once on /api, so the path must be under /api
+module.exports = [
+    {
+        path: '/api/auth',
+        router: require( './auth' ),
+        controller: require( '../controller/AuthController' ),
+        tag: 'Auth',
+        authenticated: false,
+    },
+    {
+        path: '/api/admin',
+        router: require( './admin' ),
+        controller: require( '../controller/AdminController' ),
+        tag: 'Admin',
+        authenticated: true,
+    },
+    {
+        path: '/api/webhooks',
+        router: require( './webhook' ),
+        controller: require( '../controller/WebhookController' ),
+        tag: 'Webhooks',
+        authenticated: true,
+    },
+    {
+        path: '/api/jobs',
+        router: require( './job' ),
+        controller: require( '../controller/JobController' ),
+        tag: 'Jobs',
+        authenticated: true,
+    },
+    {
+        path: '/api',
+        router: require( './payment' ),
+        controller: require( '../controller/PaymentController' ),
+        tag: 'Payments',
+        authenticated: true,
+    },
+    {
+        path: '/api',
+        router: require( './post' ),
+        controller: require( '../controller/PostController' ),
+        tag: 'Posts',
+        authenticated: true,
+    },
+    {
+        path: '/api',
+        router: require( './user' ),
+        controller: require( '../controller/UserController' ),
+        tag: 'Users',
+        authenticated: true,
+    },
+];
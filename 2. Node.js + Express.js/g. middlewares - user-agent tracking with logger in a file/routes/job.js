@@ -0,0 +1,17 @@
+const express = require( 'express' );
+const router = express.Router();
+const jobController = require( '../controller/JobController' );
+const { requireRole } = require( '../middleware/Authorize' );
+const { validate } = require( '../middleware/Validate' );
+const { jobNameSchema, jobListQuerySchema } = require( '../model/schema/Job' );
+const { describe } = require( '../utils/openapi' );
+
+router.use( requireRole( 'admin' ) );
+
+router.get( '/', validate( { query: jobListQuerySchema } ), jobController.getJobs );
+router.get( '/:name', validate( { params: jobNameSchema } ), jobController.getJobByName );
+router.post( '/:name/pause', describe( { status: 200 } ), validate( { params: jobNameSchema } ), jobController.pauseJob );
+router.post( '/:name/resume', describe( { status: 200 } ), validate( { params: jobNameSchema } ), jobController.resumeJob );
+router.post( '/:name/run', describe( { status: 202, errors: [ 409 ] } ), validate( { params: jobNameSchema } ), jobController.runJob );
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require( 'express' );
+const router = express.Router();
+const metrics = require( '../utils/metrics' );
+const { describe } = require( '../utils/openapi' );
+
+// Mounted next to /healthz: scrapes are not logged, rate limited or counted in the metrics themselves.
+// Prometheus text by default, JSON for ?format=json or Accept: application/json
+router.get( '/metrics', describe( { operationId: 'getMetrics', summary: 'Process and route metrics, Prometheus text or JSON', content: [ 'text/plain', 'application/json' ] } ), ( req, res ) => {
+    res.set( 'Cache-Control', 'no-store' );
+
+    if ( req.query.format === 'json' || ( req.query.format === undefined && req.accepts( [ 'text/plain', 'application/json' ] ) === 'application/json' ) ) {
+        return res.json( metrics.snapshot() );
+    }
+
+    res.type( 'text/plain; version=0.0.4; charset=utf-8' ).send( metrics.toPrometheus() );
+} );
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require( 'express' );
+const router = express.Router();
+const paymentController = require( '../controller/PaymentController' );
+const { requireRole, requireSelfOrRole } = require( '../middleware/Authorize' );
+const { validate } = require( '../middleware/Validate' );
+const { userIdSchema } = require( '../model/schema/User' );
+const { paymentSchema, paymentIdSchema, idempotencyHeadersSchema, paymentListQuerySchema } = require( '../model/schema/Payment' );
+const { describe } = require( '../utils/openapi' );
+
+// Idempotency-Key reused with a different body
+const reusedKey = describe( { errors: [ 422 ] } );
+// not allowed by the status lifecycle
+const wrongStatus = describe( { errors: [ 409 ] } );
+
+router.post( '/users/:id/payments', reusedKey, requireSelfOrRole( 'admin' ), validate( { headers: idempotencyHeadersSchema, params: userIdSchema, body: paymentSchema } ), paymentController.createPayment );
+router.get( '/users/:id/payments', requireSelfOrRole( 'admin' ), validate( { params: userIdSchema, query: paymentListQuerySchema } ), paymentController.getUserPayments );
+router.get( '/payments/:id', validate( { params: paymentIdSchema } ), paymentController.getPaymentById );
+router.post( '/payments/:id/capture', describe( { status: 200 } ), wrongStatus, requireRole( 'admin' ), validate( { params: paymentIdSchema } ), paymentController.capturePayment );
+router.post( '/payments/:id/refund', describe( { status: 200 } ), wrongStatus, requireRole( 'admin' ), validate( { params: paymentIdSchema } ), paymentController.refundPayment );
+
+module.exports = router;
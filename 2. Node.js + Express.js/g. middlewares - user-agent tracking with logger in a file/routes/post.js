@@ -0,0 +1,23 @@
+const express = require( 'express' );
+const router = express.Router();
+const postController = require( '../controller/PostController' );
+const { requireSelfOrRole } = require( '../middleware/Authorize' );
+const { validate } = require( '../middleware/Validate' );
+const { userIdSchema } = require( '../model/schema/User' );
+const { postSchema, postPatchSchema, postIdSchema, postListQuerySchema } = require( '../model/schema/Post' );
+const { describe } = require( '../utils/openapi' );
+
+// someone else's post
+const notAuthor = describe( { errors: [ 403 ] } );
+
+// Every signed in user can read posts. Writing: the author or an admin
+router.get( '/posts', validate( { query: postListQuerySchema } ), postController.getAllPosts );
+router.get( '/posts/:id', validate( { params: postIdSchema } ), postController.getPostById );
+router.put( '/posts/:id', notAuthor, describe( { operationId: 'replacePost' } ), validate( { params: postIdSchema, body: postSchema } ), postController.updatePost );
+router.patch( '/posts/:id', notAuthor, validate( { params: postIdSchema, body: postPatchSchema } ), postController.updatePost );
+router.delete( '/posts/:id', notAuthor, validate( { params: postIdSchema } ), postController.deletePost );
+
+router.get( '/users/:id/posts', validate( { params: userIdSchema, query: postListQuerySchema } ), postController.getUserPosts );
+router.post( '/users/:id/posts', requireSelfOrRole( 'admin' ), validate( { params: userIdSchema, body: postSchema } ), postController.createPost );
+
+module.exports = router;
@@ -1,9 +1,31 @@
 const express = require( 'express' );
 const router = express.Router();
 const userController = require( '../controller/UserController' );
+const { requireRole, requireSelfOrRole } = require( '../middleware/Authorize' );
+const { rateLimit } = require( '../middleware/RateLimit' );
+const { validate } = require( '../middleware/Validate' );
+const { upload } = require( '../middleware/Upload' );
+const { userSchema, userPatchSchema, userIdSchema, userListQuerySchema } = require( '../model/schema/User' );
+const { IMAGE_TYPES } = require( '../utils/fileType' );
+const { describe } = require( '../utils/openapi' );
 
-router.get( '/users', userController.getAllUsers );
-router.get( '/users/:id', userController.getUserById );
-router.post( '/users', userController.createUser );
+// duplicate email
+const conflict = describe( { errors: [ 409 ] } );
+
+// per user: bursts of 20 requests, then one every second. On each route rather than router.use(), which would also
+// take a token for every other /api request that passes through this router
+const usersLimit = rateLimit( { name: 'users', algorithm: 'token-bucket', limit: 20, refillPerSecond: 1, keyBy: 'user' } );
+
+router.get( '/users', usersLimit, requireRole( 'admin' ), validate( { query: userListQuerySchema } ), userController.getAllUsers );
+router.get( '/users/:id', usersLimit, requireSelfOrRole( 'admin' ), validate( { params: userIdSchema } ), userController.getUserById );
+router.post( '/users', usersLimit, conflict, requireRole( 'admin' ), validate( { body: userSchema } ), userController.createUser );
+router.put( '/users/:id', usersLimit, conflict, requireSelfOrRole( 'admin' ), validate( { params: userIdSchema, body: userSchema } ), userController.replaceUser );
+router.patch( '/users/:id', usersLimit, conflict, requireSelfOrRole( 'admin' ), validate( { params: userIdSchema, body: userPatchSchema } ), userController.updateUser );
+router.delete( '/users/:id', usersLimit, requireRole( 'admin' ), validate( { params: userIdSchema } ), userController.deleteUser );
+
+// Avatar: multipart/form-data with one image in the "avatar" field
+router.put( '/users/:id/avatar', usersLimit, requireSelfOrRole( 'admin' ), validate( { params: userIdSchema } ), upload( { field: 'avatar', types: IMAGE_TYPES } ), userController.uploadAvatar );
+router.get( '/users/:id/avatar', usersLimit, describe( { content: IMAGE_TYPES } ), requireSelfOrRole( 'admin' ), validate( { params: userIdSchema } ), userController.getAvatar );
+router.delete( '/users/:id/avatar', usersLimit, requireSelfOrRole( 'admin' ), validate( { params: userIdSchema } ), userController.deleteAvatar );
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require( 'express' );
+const router = express.Router();
+const webhookController = require( '../controller/WebhookController' );
+const { requireRole } = require( '../middleware/Authorize' );
+const { validate } = require( '../middleware/Validate' );
+const { webhookSchema, webhookPatchSchema, webhookIdSchema, deliveryIdSchema, webhookListQuerySchema, deliveryListQuerySchema } = require( '../model/schema/Webhook' );
+const { describe } = require( '../utils/openapi' );
+
+router.use( requireRole( 'admin' ) );
+
+router.get( '/', validate( { query: webhookListQuerySchema } ), webhookController.getWebhooks );
+router.get( '/:id', validate( { params: webhookIdSchema } ), webhookController.getWebhookById );
+router.post( '/', validate( { body: webhookSchema } ), webhookController.createWebhook );
+router.patch( '/:id', validate( { params: webhookIdSchema, body: webhookPatchSchema } ), webhookController.updateWebhook );
+router.delete( '/:id', validate( { params: webhookIdSchema } ), webhookController.deleteWebhook );
+
+// Delivery log
+router.get( '/:id/deliveries', validate( { params: webhookIdSchema, query: deliveryListQuerySchema } ), webhookController.getDeliveries );
+router.post( '/:id/deliveries/:deliveryId/redeliver', describe( { status: 202 } ), validate( { params: deliveryIdSchema } ), webhookController.redeliver );
+
+module.exports = router;
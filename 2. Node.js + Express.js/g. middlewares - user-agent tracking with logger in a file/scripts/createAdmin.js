@@ -0,0 +1,73 @@
+const readline = require( 'readline/promises' );
+const { parseArgs } = require( 'util' );
+const userRepository = require( '../repository/UserRepository' );
+const { registerSchema } = require( '../model/schema/Auth' );
+const { hashPassword } = require( '../utils/password' );
+
+// The only way to get an admin: /api/auth/register always creates plain users.
+//
+//   npm run create-admin -- --email admin@example.com --name "Site Admin"
+//
+// Asks for the password (or reads it from stdin: echo "$PASSWORD" | npm run create-admin -- ...).
+// An existing account with that email is made an admin and keeps its password.
+// Run it while the server is stopped: the server keeps users.json in memory and would overwrite the change.
+
+const readPassword = async () => {
+    const prompt = readline.createInterface( { input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY } );
+
+    // stdin can end without a line, e.g. </dev/null
+    const ended = new Promise( ( resolve, reject ) => {
+        prompt.once( 'close', () => reject( new Error( 'No password given' ) ) );
+    } );
+
+    try {
+        return await Promise.race( [ prompt.question( 'Password (at least 8 characters): ' ), ended ] );
+    } finally {
+        prompt.close();
+    }
+};
+
+const check = ( schema, value ) => {
+    const result = schema.validate( value, { abortEarly: false } );
+
+    if ( result.error ) {
+        throw new Error( result.error.details.map( ( detail ) => detail.message ).join( '\n' ) );
+    }
+
+    return result.value;
+};
+
+const main = async () => {
+    const { values } = parseArgs( { options: { email: { type: 'string' }, name: { type: 'string' } } } );
+
+    if ( !values.email ) {
+        throw new Error( 'Usage: npm run create-admin -- --email <email> [--name <name>]' );
+    }
+
+    const existing = await userRepository.findByEmail( values.email );
+
+    if ( existing ) {
+        await userRepository.update( existing.id, { role: 'admin' } );
+        await userRepository.flush();
+
+        return `${ existing.email } (id ${ existing.id }) is now an admin`;
+    }
+
+    // name and email first, so a typo does not cost a password prompt
+    check( registerSchema, { name: values.name, email: values.email, password: 'x'.repeat( 8 ) } );
+
+    const { password, ...profile } = check( registerSchema, { name: values.name, email: values.email, password: await readPassword() } );
+    const user = await userRepository.create( { ...profile, role: 'admin', passwordHash: await hashPassword( password ) } );
+
+    await userRepository.flush();
+
+    return `Created admin ${ user.email } (id ${ user.id })`;
+};
+
+main().then(
+    ( message ) => console.log( message ),
+    ( error ) => {
+        console.error( error.message );
+        process.exitCode = 1;
+    }
+);
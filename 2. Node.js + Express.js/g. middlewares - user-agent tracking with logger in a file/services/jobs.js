@@ -0,0 +1,68 @@
+const fs = require( 'fs/promises' );
+const path = require( 'path' );
+const config = require( '../config' );
+const { accessLogger } = require( '../utils/logger' );
+const deliveryRepository = require( '../repository/DeliveryRepository' );
+const paymentRepository = require( '../repository/PaymentRepository' );
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Delivered and dead webhook deliveries are kept this long for the delivery log
+const DELIVERY_RETENTION_DAYS = 30;
+
+// The app's scheduled jobs. Times are UTC. What a job returns is shown as lastRun.result in GET /api/jobs
+exports.defineJobs = ( scheduler ) => {
+    scheduler.add( 'rotate-access-log', {
+        cron: '0 0 * * *',
+        description: 'Starts a new access log file every day, even when there is no traffic, and deletes old ones',
+        catchUp: true,
+        run: async () => {
+            await accessLogger.rotateNow();
+        },
+    } );
+
+    scheduler.add( 'cleanup-deliveries', {
+        cron: '30 3 * * *',
+        description: `Deletes delivered and dead webhook deliveries older than ${ DELIVERY_RETENTION_DAYS } days`,
+        catchUp: true,
+        run: async ( { scheduledAt } ) => {
+            const removed = await deliveryRepository.removeFinishedBefore( new Date( scheduledAt.getTime() - DELIVERY_RETENTION_DAYS * DAY ) );
+
+            return { removed };
+        },
+    } );
+
+    scheduler.add( 'cleanup-idempotency-keys', {
+        cron: '45 * * * *',
+        description: 'Deletes the Idempotency-Key records of payments that are older than 24 hours',
+        run: async ( { scheduledAt } ) => {
+            const removed = await paymentRepository.removeExpiredIdempotencyKeys( scheduledAt.getTime() );
+
+            return { removed };
+        },
+    } );
+
+    // an upload is moved out of uploads/tmp as soon as its request is handled, so anything old there was left by a crash
+    scheduler.add( 'cleanup-upload-temp-files', {
+        cron: '15 * * * *',
+        description: 'Deletes temp files of uploads that were never finished',
+        run: async () => {
+            const tempDir = path.join( config.uploadDir, 'tmp' );
+            const names = await fs.readdir( tempDir ).catch( () => [] );
+            let removed = 0;
+
+            for ( const name of names ) {
+                const file = path.join( tempDir, name );
+                const stats = await fs.stat( file ).catch( () => null );
+
+                if ( stats && stats.mtimeMs < Date.now() - HOUR ) {
+                    await fs.rm( file, { force: true } );
+                    removed += 1;
+                }
+            }
+
+            return { removed };
+        },
+    } );
+};
@@ -0,0 +1,32 @@
+const crypto = require( 'crypto' );
+
+// A fake payment provider that runs locally, with a small delay like a real network call.
+// Amounts ending in 13 minor units (e.g. 1013) are declined, amounts ending in 99 fail as if the
+// provider were down, everything else is approved
+const delay = ( ms ) => new Promise( ( resolve ) => setTimeout( resolve, ms ) );
+
+exports.authorize = async ( { amount, currency } ) => {
+    await delay( 50 );
+
+    if ( amount % 100 === 99 ) {
+        throw new Error( 'Payment provider unavailable' );
+    }
+
+    if ( amount % 100 === 13 ) {
+        return { approved: false, reason: 'card_declined' };
+    }
+
+    return { approved: true, reference: `mock_${ crypto.randomUUID() }`, amount, currency };
+};
+
+exports.capture = async ( reference ) => {
+    await delay( 50 );
+
+    return { ok: true, reference };
+};
+
+exports.refund = async ( reference ) => {
+    await delay( 50 );
+
+    return { ok: true, reference };
+};
@@ -0,0 +1,270 @@
+const EventEmitter = require( 'events' );
+const jobRepository = require( '../repository/JobRepository' );
+const { parseCron, nextRun } = require( '../utils/cron' );
+const log = require( '../utils/log' );
+
+// setTimeout cannot wait longer than about 24.8 days, a later run is waited for in steps
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Missed runs are counted up to this, a job with a short interval could otherwise loop for a long time
+const MAX_MISSED = 1000;
+
+const toIso = ( time ) => new Date( time ).toISOString();
+
+// Runs jobs on a cron expression (utils/cron.js) or a fixed interval. Like RaiseEvent's bellRing in the events
+// chapter, but at the real scheduled times:
+//
+//   scheduler.add( 'cleanup', { cron: '30 3 * * *', run: async ( { scheduledAt } ) => { ... } } );
+//   scheduler.add( 'ping', { everyMs: 60 * 1000, run: async () => { ... } } );
+//   scheduler.on( 'job.failed', ( { name, error } ) => { ... } );
+//
+// - A job never overlaps itself: a run that is due while the last one is still going is skipped
+// - Paused, next run, last run and counters are kept in data/jobs.json. Runs that were due while the app
+//   was down are reported as missed after a restart, and a job with catchUp: true runs once to make up for them
+// Events: job.started, job.completed, job.failed, job.skipped and job.missed
+class Scheduler extends EventEmitter {
+    constructor( repository ) {
+        super();
+        this.repository = repository;
+        this.jobs = new Map(); // name -> job
+        this.started = false;
+    }
+
+    add( name, { cron, everyMs, description, catchUp = false, run } ) {
+        if ( this.jobs.has( name ) ) {
+            throw new Error( `Job "${ name }" is already defined` );
+        }
+
+        if ( ( cron === undefined ) === ( everyMs === undefined ) ) {
+            throw new Error( `Job "${ name }" needs either cron or everyMs` );
+        }
+
+        if ( everyMs !== undefined && !( Number.isInteger( everyMs ) && everyMs >= 1000 ) ) {
+            throw new Error( `Job "${ name }": everyMs must be a whole number of at least 1000` );
+        }
+
+        this.jobs.set( name, {
+            name,
+            description,
+            cron,
+            everyMs,
+            catchUp,
+            run,
+            schedule: cron === undefined ? null : parseCron( cron ),
+            timer: null,
+            running: null,
+            state: { paused: false, nextRunAt: null, lastRun: null, lastMissed: null, runs: 0, failures: 0, skippedRuns: 0, missedRuns: 0 },
+        } );
+
+        return this;
+    }
+
+    // Load the saved state, report missed runs and set the timers
+    async start() {
+        this.started = true;
+
+        for ( const job of this.jobs.values() ) {
+            const { id, name, ...saved } = await this.repository.findByName( job.name ) || {};
+            const now = Date.now();
+
+            Object.assign( job.state, saved );
+
+            if ( !job.state.paused ) {
+                if ( job.state.nextRunAt && Date.parse( job.state.nextRunAt ) <= now ) {
+                    this.reportMissed( job, Date.parse( job.state.nextRunAt ), now );
+                }
+
+                job.state.nextRunAt = toIso( this.next( job, now ) );
+                this.arm( job );
+            }
+
+            await this.save( job );
+        }
+    }
+
+    // Clear the timers and give running jobs timeoutMs to finish
+    async stop( { timeoutMs = 10 * 1000 } = {} ) {
+        this.started = false;
+
+        for ( const job of this.jobs.values() ) {
+            clearTimeout( job.timer );
+            job.timer = null;
+        }
+
+        let timer;
+        const running = [ ...this.jobs.values() ].filter( ( job ) => job.running ).map( ( job ) => job.running );
+        const timedOut = new Promise( ( resolve ) => {
+            timer = setTimeout( resolve, timeoutMs );
+        } );
+
+        await Promise.race( [ Promise.all( running ), timedOut ] );
+        clearTimeout( timer );
+    }
+
+    list() {
+        return [ ...this.jobs.values() ].map( ( job ) => this.status( job ) );
+    }
+
+    // null if there is no such job
+    find( name ) {
+        const job = this.jobs.get( name );
+
+        return job ? this.status( job ) : null;
+    }
+
+    isRunning( name ) {
+        return Boolean( this.jobs.get( name )?.running );
+    }
+
+    // A paused job keeps its state, but has no next run until it is resumed. A run in progress is not stopped
+    async pause( name ) {
+        const job = this.jobs.get( name );
+
+        clearTimeout( job.timer );
+        job.timer = null;
+        job.state.paused = true;
+        job.state.nextRunAt = null;
+
+        await this.save( job );
+
+        return this.status( job );
+    }
+
+    async resume( name ) {
+        const job = this.jobs.get( name );
+
+        job.state.paused = false;
+        job.state.nextRunAt = toIso( this.next( job, Date.now() ) );
+
+        if ( this.started ) {
+            this.arm( job );
+        }
+
+        await this.save( job );
+
+        return this.status( job );
+    }
+
+    // Run now, outside the schedule. Resolves with the run's result once it has finished
+    async trigger( name ) {
+        return this.execute( this.jobs.get( name ), Date.now(), 'manual' );
+    }
+
+    status( job ) {
+        return {
+            name: job.name,
+            description: job.description,
+            cron: job.cron,
+            everyMs: job.everyMs,
+            catchUp: job.catchUp,
+            running: Boolean( job.running ),
+            ...structuredClone( job.state ),
+        };
+    }
+
+    // The first run after `after` (ms)
+    next( job, after ) {
+        return job.schedule ? nextRun( job.schedule, after ).getTime() : after + job.everyMs;
+    }
+
+    arm( job ) {
+        const delay = Date.parse( job.state.nextRunAt ) - Date.now();
+
+        clearTimeout( job.timer );
+
+        job.timer = setTimeout( () => {
+            if ( delay > MAX_DELAY ) {
+                this.arm( job );
+            } else {
+                this.fire( job );
+            }
+        }, Math.min( Math.max( delay, 0 ), MAX_DELAY ) );
+
+        // the scheduler alone should not keep the process alive
+        job.timer.unref();
+    }
+
+    fire( job ) {
+        const scheduledAt = Date.parse( job.state.nextRunAt );
+
+        // counted from now, so a timer that fired late does not fire again straight away
+        job.state.nextRunAt = toIso( this.next( job, Math.max( scheduledAt, Date.now() ) ) );
+        this.arm( job );
+
+        this.execute( job, scheduledAt, 'schedule' );
+    }
+
+    // The run that was due at `since` and every one after it up to now
+    reportMissed( job, since, now ) {
+        let missed = 1;
+
+        for ( let time = this.next( job, since ); time <= now && missed < MAX_MISSED; time = this.next( job, time ) ) {
+            missed += 1;
+        }
+
+        job.state.missedRuns += missed;
+        job.state.lastMissed = { count: missed, since: toIso( since ), detectedAt: toIso( now ) };
+
+        log.warn( `Job ${ job.name } missed ${ missed } run(s) since ${ toIso( since ) } while the app was down` );
+        this.emit( 'job.missed', { name: job.name, missed, since: toIso( since ) } );
+
+        if ( job.catchUp ) {
+            this.execute( job, now, 'catch-up' );
+        }
+    }
+
+    // Never rejects: the outcome is recorded in lastRun and announced with an event
+    async execute( job, scheduledAt, trigger ) {
+        const run = { trigger, scheduledAt: toIso( scheduledAt ) };
+
+        if ( job.running ) {
+            job.state.skippedRuns += 1;
+
+            log.warn( `Job ${ job.name } is still running, skipped the run due at ${ run.scheduledAt }` );
+            this.emit( 'job.skipped', { name: job.name, ...run } );
+            await this.save( job );
+
+            return null;
+        }
+
+        const started = Date.now();
+
+        this.emit( 'job.started', { name: job.name, ...run } );
+
+        job.running = ( async () => job.run( { scheduledAt: new Date( scheduledAt ) } ) )()
+            .then( ( result ) => ( { status: 'succeeded', result } ), ( error ) => ( { status: 'failed', error } ) );
+
+        const { status, result, error } = await job.running;
+
+        job.running = null;
+
+        const lastRun = { ...run, startedAt: toIso( started ), durationMs: Date.now() - started, status, result, error: error?.message };
+
+        job.state.lastRun = lastRun;
+        job.state.runs += 1;
+
+        if ( error ) {
+            job.state.failures += 1;
+
+            log.error( `Job ${ job.name } failed:`, error );
+            this.emit( 'job.failed', { name: job.name, ...lastRun, error } );
+        } else {
+            log.debug( `Job ${ job.name } finished in ${ lastRun.durationMs } ms` );
+            this.emit( 'job.completed', { name: job.name, ...lastRun } );
+        }
+
+        await this.save( job );
+
+        return lastRun;
+    }
+
+    async save( job ) {
+        await this.repository.save( job.name, job.state ).catch( ( error ) => {
+            log.error( `Error saving the state of job ${ job.name }:`, error );
+        } );
+    }
+}
+
+exports.Scheduler = Scheduler;
+
+exports.scheduler = new Scheduler( jobRepository );
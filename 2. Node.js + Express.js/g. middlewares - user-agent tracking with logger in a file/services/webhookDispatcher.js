@@ -0,0 +1,168 @@
+const crypto = require( 'crypto' );
+const events = require( '../utils/events' );
+const webhookRepository = require( '../repository/WebhookRepository' );
+const deliveryRepository = require( '../repository/DeliveryRepository' );
+const { WEBHOOK_EVENTS } = require( '../model/schema/Webhook' );
+const { name, version } = require( '../package.json' );
+const log = require( '../utils/log' );
+
+// X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>"> with the webhook's secret.
+// The timestamp is signed too, so a receiver can reject old deliveries that are sent again
+const sign = ( secret, timestamp, body ) => crypto.createHmac( 'sha256', secret ).update( `${ timestamp }.${ body }` ).digest( 'hex' );
+
+// Sends domain events to the webhooks that subscribed to them.
+// A failed delivery is retried with exponential backoff (1s, 2s, 4s, ...) and after maxAttempts it is marked dead
+class WebhookDispatcher {
+    constructor( { maxAttempts = 6, baseDelayMs = 1000, timeoutMs = 5000 } = {} ) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.timeoutMs = timeoutMs;
+
+        this.timers = new Map(); // delivery id -> retry timer
+        this.listeners = new Map(); // event -> listener, so stop() can remove them
+    }
+
+    // Listen for the domain events and pick up deliveries left over from the last run
+    async start() {
+        for ( const event of WEBHOOK_EVENTS ) {
+            // the event bus logs a failure without breaking the request that published the event
+            const listener = ( data ) => this.dispatch( event, data );
+
+            this.listeners.set( event, listener );
+            events.on( event, listener );
+        }
+
+        for ( const delivery of await deliveryRepository.findUnfinished() ) {
+            this.schedule( delivery.id, Date.parse( delivery.nextAttemptAt ) - Date.now() );
+        }
+    }
+
+    stop() {
+        for ( const [ event, listener ] of this.listeners ) {
+            events.off( event, listener );
+        }
+
+        for ( const timer of this.timers.values() ) {
+            clearTimeout( timer );
+        }
+
+        this.listeners.clear();
+        this.timers.clear();
+    }
+
+    // One delivery per subscribed webhook, all carrying the same event id
+    async dispatch( event, data ) {
+        const webhooks = await webhookRepository.findSubscribed( event );
+        const payload = { id: `evt_${ crypto.randomUUID() }`, type: event, createdAt: new Date().toISOString(), data };
+
+        for ( const webhook of webhooks ) {
+            await this.enqueue( webhook.id, payload );
+        }
+    }
+
+    async enqueue( webhookId, payload, extra = {} ) {
+        const now = new Date().toISOString();
+        const delivery = await deliveryRepository.create( {
+            webhookId,
+            event: payload.type,
+            payload,
+            status: 'pending',
+            attempts: [],
+            createdAt: now,
+            nextAttemptAt: now,
+            ...extra,
+        } );
+
+        this.schedule( delivery.id, 0 );
+
+        return delivery;
+    }
+
+    schedule( deliveryId, delay ) {
+        clearTimeout( this.timers.get( deliveryId ) );
+
+        const timer = setTimeout( () => {
+            this.timers.delete( deliveryId );
+            this.attempt( deliveryId ).catch( ( error ) => {
+                log.error( `Error sending webhook delivery ${ deliveryId }:`, error );
+            } );
+        }, Math.max( delay, 0 ) );
+
+        // pending retries should not keep the process alive
+        timer.unref();
+        this.timers.set( deliveryId, timer );
+    }
+
+    // POST the payload once and record the result
+    async attempt( deliveryId ) {
+        const delivery = await deliveryRepository.findById( deliveryId );
+
+        if ( !delivery || ![ 'pending', 'retrying' ].includes( delivery.status ) ) {
+            return;
+        }
+
+        const webhook = await webhookRepository.findById( delivery.webhookId );
+
+        if ( !webhook || !webhook.active ) {
+            await deliveryRepository.update( deliveryId, { status: 'dead', nextAttemptAt: null, reason: 'Webhook was deleted or deactivated' } );
+            return;
+        }
+
+        const body = JSON.stringify( delivery.payload );
+        const timestamp = Math.floor( Date.now() / 1000 );
+        const started = Date.now();
+        const result = { at: new Date( started ).toISOString() };
+
+        try {
+            const response = await fetch( webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `${ name }-webhooks/${ version }`,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String( delivery.id ),
+                    'X-Webhook-Timestamp': String( timestamp ),
+                    'X-Webhook-Signature': `sha256=${ sign( webhook.secret, timestamp, body ) }`,
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout( this.timeoutMs ),
+            } );
+
+            // only the status matters, the body is not read
+            await response.body?.cancel();
+
+            result.statusCode = response.status;
+            result.ok = response.ok;
+        } catch ( error ) {
+            result.error = error.cause?.code || error.message;
+            result.ok = false;
+        }
+
+        result.durationMs = Date.now() - started;
+
+        const attempts = [ ...delivery.attempts, result ];
+
+        if ( result.ok ) {
+            await deliveryRepository.update( deliveryId, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: new Date().toISOString() } );
+        } else if ( attempts.length >= this.maxAttempts ) {
+            await deliveryRepository.update( deliveryId, { status: 'dead', attempts, nextAttemptAt: null } );
+        } else {
+            const delay = this.baseDelayMs * 2 ** ( attempts.length - 1 );
+
+            await deliveryRepository.update( deliveryId, { status: 'retrying', attempts, nextAttemptAt: new Date( Date.now() + delay ).toISOString() } );
+            this.schedule( deliveryId, delay );
+        }
+    }
+
+    // Send a delivery again as a new one, e.g. a dead letter after the receiver is fixed
+    async redeliver( delivery ) {
+        return this.enqueue( delivery.webhookId, delivery.payload, { redeliveryOf: delivery.id } );
+    }
+}
+
+exports.sign = sign;
+
+exports.WebhookDispatcher = WebhookDispatcher;
+
+exports.webhookDispatcher = new WebhookDispatcher();
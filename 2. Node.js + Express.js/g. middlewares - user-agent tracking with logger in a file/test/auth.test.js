@@ -0,0 +1,126 @@
+const { test, before, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+// a data directory of its own, set before config is loaded
+const dataDir = fs.mkdtempSync( path.join( os.tmpdir(), 'auth-' ) );
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+process.env.TOKEN_SECRET = 'test-secret-that-is-at-least-32-characters';
+
+const express = require( 'express' );
+const authRoutes = require( '../routes/auth' );
+const userRepository = require( '../repository/UserRepository' );
+const { isValid } = require( '../middleware/IsValid' );
+const { errorHandler } = require( '../middleware/ErrorHandler' );
+const { signToken, verifyToken } = require( '../utils/token' );
+
+// The auth routes and one route behind isValid, like index.js mounts them
+const app = express();
+
+app.use( express.json() );
+app.use( '/api/auth', authRoutes );
+app.get( '/api/me', isValid, ( req, res ) => res.json( req.user ) );
+app.use( errorHandler );
+
+let server;
+let baseUrl;
+
+before( async () => {
+    server = app.listen( 0, '127.0.0.1' );
+    await new Promise( ( resolve ) => server.once( 'listening', resolve ) );
+    baseUrl = `http://127.0.0.1:${ server.address().port }`;
+} );
+
+after( async () => {
+    await new Promise( ( resolve ) => server.close( resolve ) );
+    await userRepository.flush();
+    fs.rmSync( dataDir, { recursive: true, force: true } );
+} );
+
+// Resolves with { status, body }. The auth routes allow 10 requests per IP, so the tests below stay under that
+const request = async ( method, url, { body, token } = {} ) => {
+    const response = await fetch( `${ baseUrl }${ url }`, {
+        method,
+        headers: {
+            ...( body ? { 'Content-Type': 'application/json' } : {} ),
+            ...( token ? { Authorization: `Bearer ${ token }` } : {} ),
+        },
+        body: body && JSON.stringify( body ),
+    } );
+
+    return { status: response.status, body: await response.json() };
+};
+
+const ada = { name: 'Ada Lovelace', email: 'ada@example.com', password: 'correct horse' };
+
+test( 'register creates a plain user and returns a token that works', async () => {
+    const { status, body } = await request( 'POST', '/api/auth/register', { body: ada } );
+
+    assert.strictEqual( status, 201 );
+    assert.deepStrictEqual( body.user, { id: body.user.id, name: ada.name, email: ada.email, role: 'user' } );
+    assert.strictEqual( body.tokenType, 'Bearer' );
+    assert.strictEqual( body.expiresIn, 3600 );
+
+    const me = await request( 'GET', '/api/me', { token: body.token } );
+
+    assert.strictEqual( me.status, 200 );
+    assert.strictEqual( me.body.email, ada.email );
+
+    // only the hash is stored
+    const stored = await userRepository.findByEmail( ada.email );
+
+    assert.ok( stored.passwordHash && !JSON.stringify( stored ).includes( ada.password ) );
+} );
+
+test( 'register refuses a taken email, whatever its case, and a role', async () => {
+    const taken = await request( 'POST', '/api/auth/register', { body: { ...ada, email: 'ADA@example.com' } } );
+
+    assert.strictEqual( taken.status, 409 );
+
+    const admin = await request( 'POST', '/api/auth/register', { body: { ...ada, email: 'eve@example.com', role: 'admin' } } );
+
+    assert.strictEqual( admin.status, 400 );
+    assert.strictEqual( await userRepository.findByEmail( 'eve@example.com' ), null );
+} );
+
+test( 'login returns a token for the right password only', async () => {
+    const { status, body } = await request( 'POST', '/api/auth/login', { body: { email: ada.email, password: ada.password } } );
+
+    assert.strictEqual( status, 200 );
+    assert.strictEqual( verifyToken( body.token ).sub, ( await userRepository.findByEmail( ada.email ) ).id );
+
+    const wrongPassword = await request( 'POST', '/api/auth/login', { body: { email: ada.email, password: 'wrong password' } } );
+    const unknownEmail = await request( 'POST', '/api/auth/login', { body: { email: 'nobody@example.com', password: ada.password } } );
+
+    // the same answer, so the response does not tell which emails exist
+    assert.strictEqual( wrongPassword.status, 401 );
+    assert.deepStrictEqual( unknownEmail, wrongPassword );
+} );
+
+test( 'an expired token is refused', async () => {
+    const { id } = await userRepository.findByEmail( ada.email );
+    const expired = signToken( { sub: id }, { expiresIn: 0 } );
+
+    assert.throws( () => verifyToken( expired ), { message: 'Token has expired' } );
+
+    const { status, body } = await request( 'GET', '/api/me', { token: expired } );
+
+    assert.strictEqual( status, 401 );
+    assert.strictEqual( body.detail, 'Token has expired' );
+} );
+
+test( 'a token that was changed or is missing is refused', async () => {
+    const { id } = await userRepository.findByEmail( ada.email );
+    const [ header, , signature ] = signToken( { sub: id } ).split( '.' );
+    const payload = Buffer.from( JSON.stringify( { sub: id, role: 'admin', exp: Math.floor( Date.now() / 1000 ) + 60 } ) ).toString( 'base64url' );
+
+    assert.throws( () => verifyToken( `${ header }.${ payload }.${ signature }` ), { message: 'Invalid token signature' } );
+    assert.throws( () => verifyToken( 'not-a-token' ), { message: 'Malformed token' } );
+
+    assert.strictEqual( ( await request( 'GET', '/api/me' ) ).status, 401 );
+} );
@@ -0,0 +1,49 @@
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { parseCron, nextRun } = require( '../utils/cron' );
+
+// 2026-10-19 is a Monday
+const next = ( expression, after ) => nextRun( parseCron( expression ), Date.parse( after ) ).toISOString();
+
+test( 'the next run is strictly after the given time', () => {
+    assert.strictEqual( next( '*/15 * * * *', '2026-10-19T10:07:30Z' ), '2026-10-19T10:15:00.000Z' );
+    assert.strictEqual( next( '*/15 * * * *', '2026-10-19T10:15:00Z' ), '2026-10-19T10:30:00.000Z' );
+    assert.strictEqual( next( '*/15 * * * *', '2026-10-19T23:45:00Z' ), '2026-10-20T00:00:00.000Z' );
+} );
+
+test( 'a step starts at the start of its range', () => {
+    assert.strictEqual( next( '5/20 * * * *', '2026-10-19T10:50:00Z' ), '2026-10-19T11:05:00.000Z' );
+    assert.strictEqual( next( '0 0 */10 * *', '2026-10-21T00:00:00Z' ), '2026-10-31T00:00:00.000Z' );
+    // February has no 31st, so it goes on to March 1st
+    assert.strictEqual( next( '0 0 */10 * *', '2026-02-21T00:00:00Z' ), '2026-03-01T00:00:00.000Z' );
+} );
+
+test( 'a day matches if either day field does when both are restricted', () => {
+    // the 1st of the month or a Monday
+    assert.strictEqual( next( '0 0 1 * mon', '2026-10-19T12:00:00Z' ), '2026-10-26T00:00:00.000Z' );
+    assert.strictEqual( next( '0 0 1 * mon', '2026-10-26T00:00:00Z' ), '2026-11-01T00:00:00.000Z' );
+    assert.strictEqual( next( '0 0 1 * mon', '2026-11-01T00:00:00Z' ), '2026-11-02T00:00:00.000Z' );
+} );
+
+test( 'a day field starting with * leaves the other one alone', () => {
+    // */2 starts with *: only the Mondays on an odd day, not every odd day
+    assert.strictEqual( next( '0 0 */2 * mon', '2026-10-19T12:00:00Z' ), '2026-11-09T00:00:00.000Z' );
+    assert.strictEqual( next( '0 0 * * mon', '2026-10-19T12:00:00Z' ), '2026-10-26T00:00:00.000Z' );
+} );
+
+test( 'names, 7 for Sunday and macros', () => {
+    assert.strictEqual( next( '30 9 * * 7', '2026-10-19T00:00:00Z' ), '2026-10-25T09:30:00.000Z' );
+    assert.strictEqual( next( '0 12 29 feb *', '2026-03-01T00:00:00Z' ), '2028-02-29T12:00:00.000Z' );
+    assert.strictEqual( next( '@monthly', '2026-12-15T00:00:00Z' ), '2027-01-01T00:00:00.000Z' );
+} );
+
+test( 'invalid expressions are rejected', () => {
+    assert.throws( () => parseCron( '* * * *' ), /expected 5 fields/ );
+    assert.throws( () => parseCron( '60 * * * *' ), /Invalid minute "60"/ );
+    assert.throws( () => parseCron( '*/0 * * * *' ), /Invalid minute/ );
+    assert.throws( () => parseCron( '0 0 * foo *' ), /Invalid month "foo"/ );
+} );
+
+test( 'an expression that never matches throws instead of searching forever', () => {
+    assert.throws( () => next( '0 0 31 2 *', '2026-10-19T00:00:00Z' ), /never matches/ );
+} );
@@ -0,0 +1,106 @@
+const { test, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const fileStore = require( '../utils/fileStore' );
+
+const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'filestore-' ) );
+
+after( () => {
+    fs.rmSync( dir, { recursive: true, force: true } );
+} );
+
+const fallback = { nextId: 1, users: [] };
+
+// a new file name per test, so the tests do not see each other's files
+let count = 0;
+const newFile = () => path.join( dir, `users-${ ++count }.json` );
+
+const filesOf = ( file ) => fs.readdirSync( dir ).filter( ( name ) => name.startsWith( path.basename( file ) ) ).sort();
+
+test( 'a missing file reads as the fallback', async () => {
+    assert.deepStrictEqual( await fileStore.readJson( newFile(), { fallback } ), fallback );
+} );
+
+test( 'writeJson keeps the previous version as .bak and leaves no temp files', async () => {
+    const file = newFile();
+
+    await fileStore.writeJson( file, { nextId: 2, users: [ 'a' ] }, { backup: true } );
+    await fileStore.writeJson( file, { nextId: 3, users: [ 'a', 'b' ] }, { backup: true } );
+
+    assert.deepStrictEqual( JSON.parse( fs.readFileSync( file, 'utf8' ) ), { nextId: 3, users: [ 'a', 'b' ] } );
+    assert.deepStrictEqual( JSON.parse( fs.readFileSync( `${ file }.bak`, 'utf8' ) ), { nextId: 2, users: [ 'a' ] } );
+    assert.deepStrictEqual( filesOf( file ), [ path.basename( file ), `${ path.basename( file ) }.bak` ] );
+} );
+
+test( 'queued writes to one file are stored in order', async () => {
+    const file = newFile();
+
+    await Promise.all( [ 1, 2, 3, 4, 5 ].map( ( nextId ) => fileStore.writeJson( file, { nextId, users: [] }, { backup: true } ) ) );
+
+    assert.strictEqual( JSON.parse( fs.readFileSync( file, 'utf8' ) ).nextId, 5 );
+    assert.strictEqual( JSON.parse( fs.readFileSync( `${ file }.bak`, 'utf8' ) ).nextId, 4 );
+} );
+
+test( 'a truncated file is moved aside and the backup is used', async () => {
+    const file = newFile();
+
+    await fileStore.writeJson( file, { nextId: 2, users: [ 'a' ] }, { backup: true } );
+    await fileStore.writeJson( file, { nextId: 3, users: [ 'a', 'b' ] }, { backup: true } );
+
+    // what a crash in the middle of a plain (not atomic) write leaves behind
+    const content = fs.readFileSync( file, 'utf8' );
+    fs.writeFileSync( file, content.slice( 0, content.length / 2 ) );
+
+    assert.deepStrictEqual( await fileStore.readJson( file, { fallback } ), { nextId: 2, users: [ 'a' ] } );
+
+    const [ corrupt ] = filesOf( file ).filter( ( name ) => name.includes( '.corrupt-' ) );
+
+    assert.ok( corrupt, 'the corrupt file is kept' );
+    assert.strictEqual( fs.readFileSync( path.join( dir, corrupt ), 'utf8' ), content.slice( 0, content.length / 2 ) );
+    assert.strictEqual( fs.existsSync( file ), false );
+} );
+
+test( 'an empty or corrupt file without a backup reads as the fallback', async () => {
+    const empty = newFile();
+    const garbage = newFile();
+
+    fs.writeFileSync( empty, '' );
+    fs.writeFileSync( garbage, '{"nextId": 2, "users": [' );
+
+    assert.deepStrictEqual( await fileStore.readJson( empty, { fallback } ), fallback );
+    assert.deepStrictEqual( await fileStore.readJson( garbage, { fallback } ), fallback );
+    assert.strictEqual( filesOf( garbage ).filter( ( name ) => name.includes( '.corrupt-' ) ).length, 1 );
+} );
+
+test( 'the file is written again after a recovery', async () => {
+    const file = newFile();
+
+    fs.writeFileSync( file, 'not json' );
+
+    const state = await fileStore.readJson( file, { fallback } );
+
+    await fileStore.writeJson( file, { ...state, nextId: 2 }, { backup: true } );
+
+    assert.deepStrictEqual( await fileStore.readJson( file, { fallback } ), { nextId: 2, users: [] } );
+} );
+
+test( 'readJsonLines skips lines that are not JSON', async () => {
+    const file = path.join( dir, 'access.log' );
+
+    await fileStore.appendLines( file, [ JSON.stringify( { a: 1 } ), '{"a": 2, "cut sh' ] );
+    await fileStore.appendLines( file, [ JSON.stringify( { a: 3 } ) ] );
+
+    const records = [];
+
+    for await ( const record of fileStore.readJsonLines( file ) ) {
+        records.push( record );
+    }
+
+    assert.deepStrictEqual( records, [ { a: 1 }, { a: 3 } ] );
+} );
@@ -0,0 +1,82 @@
+const { test, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const JsonRepository = require( '../repository/JsonRepository' );
+
+const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'repository-' ) );
+
+after( () => {
+    fs.rmSync( dir, { recursive: true, force: true } );
+} );
+
+// names are unique, like the users' emails
+class NameRepository extends JsonRepository {
+    checkWrite( item, items ) {
+        if ( items.some( ( other ) => other.id !== item.id && other.name === item.name ) ) {
+            throw new Error( `${ item.name } exists` );
+        }
+    }
+}
+
+let count = 0;
+const newRepository = () => {
+    const file = path.join( dir, `items-${ ++count }.json` );
+
+    return { file, repository: new NameRepository( file, { collection: 'items' } ) };
+};
+
+test( 'a failed write leaves the records as they were', async () => {
+    const { file, repository } = newRepository();
+
+    await repository.create( { name: 'a' } );
+
+    // a directory where the file should be: every write fails
+    fs.rmSync( file );
+    fs.mkdirSync( path.join( file, 'blocker' ), { recursive: true } );
+
+    await assert.rejects( repository.create( { name: 'b' } ) );
+    await assert.rejects( repository.update( 1, { name: 'changed' } ) );
+    await assert.rejects( repository.remove( 1 ) );
+
+    assert.deepStrictEqual( await repository.findAll(), [ { name: 'a', id: 1 } ] );
+
+    // the id of the failed create is not used up
+    fs.rmSync( file, { recursive: true } );
+
+    assert.deepStrictEqual( await repository.create( { name: 'c' } ), { name: 'c', id: 2 } );
+    assert.deepStrictEqual( JSON.parse( fs.readFileSync( file, 'utf8' ) ), { nextId: 3, items: [ { name: 'a', id: 1 }, { name: 'c', id: 2 } ] } );
+} );
+
+test( 'a record is only seen once it is written', async () => {
+    const { repository } = newRepository();
+
+    const created = repository.create( { name: 'a' } );
+
+    assert.deepStrictEqual( await repository.findAll(), [] );
+    await created;
+    assert.deepStrictEqual( await repository.findAll(), [ { name: 'a', id: 1 } ] );
+} );
+
+test( 'concurrent changes run one after another and checkWrite sees the ones before', async () => {
+    const { repository } = newRepository();
+
+    const results = await Promise.allSettled( [ 'a', 'b', 'a', 'c' ].map( ( name ) => repository.create( { name } ) ) );
+
+    assert.deepStrictEqual( results.map( ( result ) => result.status ), [ 'fulfilled', 'fulfilled', 'rejected', 'fulfilled' ] );
+    assert.deepStrictEqual( ( await repository.findAll() ).map( ( { id, name } ) => `${ id }:${ name }` ), [ '1:a', '2:b', '3:c' ] );
+} );
+
+test( 'nothing is written when nothing changes', async () => {
+    const { file, repository } = newRepository();
+
+    assert.strictEqual( await repository.update( 1, { name: 'x' } ), null );
+    assert.strictEqual( await repository.remove( 1 ), false );
+    assert.strictEqual( await repository.removeWhere( () => true ), 0 );
+    assert.strictEqual( fs.existsSync( file ), false );
+} );
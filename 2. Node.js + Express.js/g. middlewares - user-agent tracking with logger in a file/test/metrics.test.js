@@ -0,0 +1,81 @@
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const metrics = require( '../utils/metrics' );
+
+// 'name{labels} value' lines of the Prometheus text that start with prefix -> { 'name{labels}': value }
+const samples = ( prefix ) => Object.fromEntries( metrics.toPrometheus()
+    .split( '\n' )
+    .filter( ( line ) => line.startsWith( prefix ) )
+    .map( ( line ) => {
+        const space = line.lastIndexOf( ' ' );
+
+        return [ line.slice( 0, space ), Number( line.slice( space + 1 ) ) ];
+    } ) );
+
+const record = ( route, status, seconds ) => metrics.requestFinished( { method: 'GET', route, status, seconds } );
+
+test( 'the latency histogram has cumulative buckets, +Inf, sum and count', () => {
+    record( '/api/histogram', 200, 0.003 );
+    record( '/api/histogram', 200, 0.02 );
+    record( '/api/histogram', 200, 0.3 );
+    // slower than the last bound: only in +Inf
+    record( '/api/histogram', 500, 20 );
+
+    const labels = 'method="GET",route="/api/histogram"';
+
+    assert.deepStrictEqual( samples( `http_request_duration_seconds_bucket{${ labels }` ), {
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.005"}` ]: 1,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.01"}` ]: 1,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.025"}` ]: 2,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.05"}` ]: 2,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.1"}` ]: 2,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.25"}` ]: 2,
+        [ `http_request_duration_seconds_bucket{${ labels },le="0.5"}` ]: 3,
+        [ `http_request_duration_seconds_bucket{${ labels },le="1"}` ]: 3,
+        [ `http_request_duration_seconds_bucket{${ labels },le="2.5"}` ]: 3,
+        [ `http_request_duration_seconds_bucket{${ labels },le="5"}` ]: 3,
+        [ `http_request_duration_seconds_bucket{${ labels },le="10"}` ]: 3,
+        [ `http_request_duration_seconds_bucket{${ labels },le="+Inf"}` ]: 4,
+    } );
+
+    const totals = samples( 'http_request_duration_seconds_' );
+
+    assert.strictEqual( totals[ `http_request_duration_seconds_count{${ labels }}` ], 4 );
+    assert.ok( Math.abs( totals[ `http_request_duration_seconds_sum{${ labels }}` ] - 20.323 ) < 1e-9 );
+
+    assert.deepStrictEqual( samples( `http_requests_total{${ labels }` ), {
+        [ `http_requests_total{${ labels },status="200"}` ]: 3,
+        [ `http_requests_total{${ labels },status="500"}` ]: 1,
+    } );
+} );
+
+test( 'the histogram is declared once, before its samples', () => {
+    record( '/api/declared', 200, 0.01 );
+
+    const lines = metrics.toPrometheus().split( '\n' );
+    const type = lines.indexOf( '# TYPE http_request_duration_seconds histogram' );
+
+    assert.strictEqual( lines.filter( ( line ) => line.startsWith( '# TYPE http_request_duration_seconds ' ) ).length, 1 );
+    assert.ok( type !== -1 && type < lines.findIndex( ( line ) => line.startsWith( 'http_request_duration_seconds_bucket' ) ) );
+    assert.ok( metrics.toPrometheus().endsWith( '\n' ) );
+} );
+
+test( 'label values are escaped', () => {
+    record( '/api/"quoted"\\path', 200, 0.01 );
+
+    assert.ok( metrics.toPrometheus().includes( 'route="/api/\\"quoted\\"\\\\path"' ) );
+} );
+
+test( 'the snapshot estimates quantiles from the same buckets', () => {
+    for ( let i = 0; i < 100; i++ ) {
+        record( '/api/quantiles', 200, i < 90 ? 0.02 : 0.4 );
+    }
+
+    const route = metrics.snapshot().http.routes.find( ( { route } ) => route === '/api/quantiles' );
+
+    // p50 falls in the 0.01-0.025 bucket, p95 and p99 in 0.25-0.5, never above the max
+    assert.ok( route.latencyMs.p50 > 10 && route.latencyMs.p50 <= 20 );
+    assert.ok( route.latencyMs.p95 > 250 && route.latencyMs.p95 <= 400 );
+    assert.strictEqual( route.latencyMs.max, 400 );
+    assert.strictEqual( route.count, 100 );
+} );
@@ -0,0 +1,88 @@
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const { Readable } = require( 'stream' );
+const { boundaryOf, sanitizeFilename, parseMultipart } = require( '../utils/multipart' );
+
+const boundary = '----test-boundary';
+
+const body = Buffer.from( [
+    'preamble, ignored',
+    `--${ boundary }`,
+    'Content-Disposition: form-data; name="title"',
+    '',
+    'Hello',
+    `--${ boundary }`,
+    'Content-Disposition: form-data; name="file"; filename="notes.txt"',
+    'Content-Type: text/plain',
+    '',
+    // looks like a delimiter, but it is not one
+    `line one\r\n--${ boundary.slice( 0, -1 ) }\r\nline two`,
+    `--${ boundary }--`,
+    'epilogue, ignored',
+].join( '\r\n' ) );
+
+// Parses the body as the given chunks and returns the parts: [ { name, filename, content } ]
+const parse = async ( chunks ) => {
+    const parts = [];
+
+    await parseMultipart( Readable.from( chunks ), {
+        boundary,
+        onPart: async ( { name, filename } ) => {
+            const part = { name, filename, chunks: [] };
+
+            parts.push( part );
+
+            return {
+                write: async ( chunk ) => {
+                    part.chunks.push( Buffer.from( chunk ) );
+                },
+                end: async () => {
+                    part.content = Buffer.concat( part.chunks ).toString();
+                    delete part.chunks;
+                },
+            };
+        },
+    } );
+
+    return parts;
+};
+
+const expected = [
+    { name: 'title', filename: undefined, content: 'Hello' },
+    { name: 'file', filename: 'notes.txt', content: `line one\r\n--${ boundary.slice( 0, -1 ) }\r\nline two` },
+];
+
+test( 'parses fields and files from one chunk', async () => {
+    assert.deepStrictEqual( await parse( [ body ] ), expected );
+} );
+
+test( 'a delimiter cut in two by the chunks is still found', async () => {
+    // every place the body can be split at, so every delimiter is cut at every byte once
+    for ( let at = 1; at < body.length; at++ ) {
+        assert.deepStrictEqual( await parse( [ body.subarray( 0, at ), body.subarray( at ) ] ), expected, `split at ${ at }` );
+    }
+} );
+
+test( 'parses a body that arrives one byte at a time', async () => {
+    const bytes = [ ...body ].map( ( byte ) => Buffer.from( [ byte ] ) );
+
+    assert.deepStrictEqual( await parse( bytes ), expected );
+} );
+
+test( 'a body without the closing delimiter is rejected', async () => {
+    const cut = body.subarray( 0, body.indexOf( `--${ boundary }--` ) );
+
+    await assert.rejects( parse( [ cut ] ), { status: 400, message: 'The multipart body ended too early' } );
+} );
+
+test( 'boundaryOf only accepts multipart/form-data', () => {
+    assert.strictEqual( boundaryOf( 'multipart/form-data; boundary=----abc' ), '----abc' );
+    assert.strictEqual( boundaryOf( 'multipart/form-data; charset=utf-8; boundary="a b"' ), 'a b' );
+    assert.strictEqual( boundaryOf( 'application/json' ), null );
+    assert.strictEqual( boundaryOf(), null );
+} );
+
+test( 'sanitizeFilename keeps only a safe last path segment', () => {
+    assert.strictEqual( sanitizeFilename( 'C:\\fakepath\\..\\my photo?.png' ), 'my photo_.png' );
+    assert.strictEqual( sanitizeFilename( '../../etc/passwd' ), 'passwd' );
+} );
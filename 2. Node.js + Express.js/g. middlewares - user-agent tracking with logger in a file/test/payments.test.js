@@ -0,0 +1,153 @@
+const { test, before, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const crypto = require( 'crypto' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+// a data directory of its own, set before config is loaded
+const dataDir = fs.mkdtempSync( path.join( os.tmpdir(), 'payments-' ) );
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require( 'express' );
+const paymentRoutes = require( '../routes/payment' );
+const paymentRepository = require( '../repository/PaymentRepository' );
+const userRepository = require( '../repository/UserRepository' );
+const { errorHandler } = require( '../middleware/ErrorHandler' );
+
+// The payment routes as index.js mounts them, signed in as John (id 1 in users.js) instead of isValid
+const app = express();
+
+app.use( express.json() );
+app.use( ( req, res, next ) => {
+    req.user = { id: 1, role: 'user' };
+    next();
+} );
+app.use( '/api', paymentRoutes );
+app.use( errorHandler );
+
+let server;
+let baseUrl;
+
+before( async () => {
+    server = app.listen( 0, '127.0.0.1' );
+    await new Promise( ( resolve ) => server.once( 'listening', resolve ) );
+    baseUrl = `http://127.0.0.1:${ server.address().port }`;
+} );
+
+after( async () => {
+    await new Promise( ( resolve ) => server.close( resolve ) );
+    await Promise.all( [ paymentRepository.flush(), userRepository.flush() ] );
+    fs.rmSync( dataDir, { recursive: true, force: true } );
+} );
+
+// POST /api/users/1/payments. Resolves with { status, replayed, body }
+const pay = async ( key, body ) => {
+    const response = await fetch( `${ baseUrl }/api/users/1/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify( body ),
+    } );
+
+    return {
+        status: response.status,
+        replayed: response.headers.get( 'idempotent-replayed' ) === 'true',
+        body: await response.json(),
+    };
+};
+
+const newKey = () => crypto.randomUUID();
+
+const paymentCount = async () => ( await paymentRepository.findByUser( 1 ) ).length;
+
+test( 'a retry with the same key and body gets the same payment back', async () => {
+    const key = newKey();
+    const first = await pay( key, { amount: 1000, currency: 'usd' } );
+    const count = await paymentCount();
+    const retry = await pay( key, { amount: 1000, currency: 'usd' } );
+
+    assert.strictEqual( first.status, 201 );
+    assert.strictEqual( first.replayed, false );
+    assert.strictEqual( first.body.payment.status, 'authorized' );
+
+    assert.strictEqual( retry.status, 201 );
+    assert.strictEqual( retry.replayed, true );
+    assert.deepStrictEqual( retry.body, first.body );
+    assert.strictEqual( await paymentCount(), count );
+} );
+
+test( 'the same key with a different body is a 422', async () => {
+    const key = newKey();
+
+    await pay( key, { amount: 1000, currency: 'USD' } );
+
+    const reused = await pay( key, { amount: 2000, currency: 'USD' } );
+
+    assert.strictEqual( reused.status, 422 );
+    assert.match( reused.body.detail, /already used with a different request/ );
+} );
+
+test( 'retries sent while the first request runs create one payment', async () => {
+    const key = newKey();
+    const count = await paymentCount();
+    const responses = await Promise.all( [ 1, 2, 3 ].map( () => pay( key, { amount: 1500, currency: 'EUR' } ) ) );
+
+    assert.deepStrictEqual( responses.map( ( { status } ) => status ), [ 201, 201, 201 ] );
+    assert.strictEqual( new Set( responses.map( ( { body } ) => body.payment.id ) ).size, 1 );
+    assert.strictEqual( responses.filter( ( { replayed } ) => replayed ).length, 2 );
+    assert.strictEqual( await paymentCount(), count + 1 );
+} );
+
+test( 'keys are stored per user, so the same key is free for other users', async () => {
+    const key = newKey();
+    const mine = await pay( key, { amount: 1000, currency: 'USD' } );
+
+    const stored = await paymentRepository.findIdempotencyKey( `1:${ key }` );
+
+    assert.strictEqual( stored.paymentId, mine.body.payment.id );
+    assert.strictEqual( await paymentRepository.findIdempotencyKey( `2:${ key }` ), null );
+} );
+
+test( 'a provider error fails the payment, and the retry replays the failure', async () => {
+    const key = newKey();
+
+    // amounts ending in 99 fail as if the provider were down (services/paymentProvider.js)
+    const first = await pay( key, { amount: 1099, currency: 'USD' } );
+    const retry = await pay( key, { amount: 1099, currency: 'USD' } );
+
+    assert.strictEqual( first.status, 201 );
+    assert.strictEqual( first.body.message, 'Payment failed' );
+    assert.strictEqual( first.body.payment.failureReason, 'provider_error' );
+    assert.strictEqual( retry.replayed, true );
+    assert.strictEqual( retry.body.payment.id, first.body.payment.id );
+} );
+
+test( 'a missing Idempotency-Key is a 400', async () => {
+    const response = await fetch( `${ baseUrl }/api/users/1/payments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify( { amount: 1000, currency: 'USD' } ),
+    } );
+
+    assert.strictEqual( response.status, 400 );
+} );
+
+test( 'an expired key charges again, and the job removes it', async () => {
+    const key = newKey();
+    const first = await pay( key, { amount: 1000, currency: 'USD' } );
+
+    // as if the key was stored more than 24 hours ago
+    const tomorrow = Date.now() + 24 * 60 * 60 * 1000 + 1000;
+
+    assert.ok( await paymentRepository.removeExpiredIdempotencyKeys( tomorrow ) >= 1 );
+    assert.strictEqual( await paymentRepository.findIdempotencyKey( `1:${ key }` ), null );
+    assert.strictEqual( await paymentRepository.removeExpiredIdempotencyKeys( tomorrow ), 0 );
+
+    const again = await pay( key, { amount: 1000, currency: 'USD' } );
+
+    assert.strictEqual( again.replayed, false );
+    assert.notStrictEqual( again.body.payment.id, first.body.payment.id );
+} );
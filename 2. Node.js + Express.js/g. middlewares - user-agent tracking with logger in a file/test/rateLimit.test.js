@@ -0,0 +1,134 @@
+const { test, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const { rateLimit } = require( '../middleware/RateLimit' );
+const { MemoryStore } = require( '../utils/rateLimitStore' );
+
+// one store for the whole file, so the tests stay apart by their key names
+const store = new MemoryStore();
+
+after( () => {
+    store.close();
+} );
+
+const sleep = ( ms ) => new Promise( ( resolve ) => setTimeout( resolve, ms ) );
+
+const fakeResponse = () => ( {
+    headers: {},
+    set( name, value ) {
+        Object.assign( this.headers, typeof name === 'object' ? name : { [ name ]: value } );
+    },
+} );
+
+// Runs the middleware on a fake request. Resolves with the response, rejects with what it throws
+const run = async ( middleware, req = {} ) => {
+    const res = fakeResponse();
+    let called = false;
+
+    await middleware( { ip: '10.0.0.1', headers: {}, ...req }, res, () => {
+        called = true;
+    } );
+
+    assert.ok( called, 'next() was called' );
+    return res;
+};
+
+test( 'a fixed window counts hits and starts again when it ends', async () => {
+    const first = await store.increment( 'window', 50 );
+    const second = await store.increment( 'window', 50 );
+
+    assert.strictEqual( first.count, 1 );
+    assert.strictEqual( second.count, 2 );
+    assert.strictEqual( second.resetAt, first.resetAt );
+
+    await sleep( 60 );
+
+    assert.strictEqual( ( await store.increment( 'window', 50 ) ).count, 1 );
+} );
+
+test( 'a token bucket allows a burst of capacity, then refills', async () => {
+    const bucket = { capacity: 2, refillPerSecond: 20 };
+
+    assert.strictEqual( ( await store.consume( 'bucket', bucket ) ).remaining, 1 );
+    assert.strictEqual( ( await store.consume( 'bucket', bucket ) ).remaining, 0 );
+
+    const empty = await store.consume( 'bucket', bucket );
+
+    assert.strictEqual( empty.allowed, false );
+    assert.ok( empty.resetAt > Date.now() );
+
+    // one token every 50 ms
+    await sleep( 60 );
+
+    assert.strictEqual( ( await store.consume( 'bucket', bucket ) ).allowed, true );
+} );
+
+test( 'prune drops windows that have ended', async () => {
+    await store.increment( 'pruned', 10 );
+    await sleep( 20 );
+    store.prune();
+
+    assert.strictEqual( store.windows.has( 'pruned' ), false );
+} );
+
+test( 'the middleware sets the RateLimit headers and refuses with 429 and Retry-After', async () => {
+    const middleware = rateLimit( { name: 'headers', limit: 2, windowMs: 60 * 1000, store } );
+
+    const first = await run( middleware );
+
+    assert.deepStrictEqual( first.headers, {
+        'RateLimit-Policy': '2;w=60',
+        'RateLimit-Limit': 2,
+        'RateLimit-Remaining': 1,
+        'RateLimit-Reset': 60,
+    } );
+
+    assert.strictEqual( ( await run( middleware ) ).headers[ 'RateLimit-Remaining' ], 0 );
+
+    const res = fakeResponse();
+
+    await assert.rejects( middleware( { ip: '10.0.0.1', headers: {} }, res, () => {} ), { status: 429 } );
+    assert.strictEqual( res.headers[ 'Retry-After' ], 60 );
+
+    // another client has its own count
+    await run( middleware, { ip: '10.0.0.2' } );
+} );
+
+test( 'the token-bucket middleware refuses once the burst is used', async () => {
+    const middleware = rateLimit( { name: 'burst', algorithm: 'token-bucket', limit: 1, refillPerSecond: 0.5, store } );
+
+    assert.strictEqual( ( await run( middleware ) ).headers[ 'RateLimit-Policy' ], '1;w=2' );
+    await assert.rejects( run( middleware ), { status: 429 } );
+} );
+
+test( 'keyBy user counts a user on every IP, and limits with other names count apart', async () => {
+    const byUser = rateLimit( { name: 'by-user', limit: 1, keyBy: 'user', store } );
+    const other = rateLimit( { name: 'other', limit: 1, keyBy: 'user', store } );
+    const user = { id: 7 };
+
+    await run( byUser, { user, ip: '10.0.0.3' } );
+    await assert.rejects( run( byUser, { user, ip: '10.0.0.4' } ), { status: 429 } );
+    await run( other, { user, ip: '10.0.0.4' } );
+
+    // anonymous requests count per IP
+    await run( byUser, { ip: '10.0.0.5' } );
+} );
+
+test( 'keyBy token keeps only a hash of the Authorization header', async () => {
+    const middleware = rateLimit( { name: 'by-token', limit: 1, keyBy: 'token', store } );
+
+    await run( middleware, { headers: { authorization: 'Bearer secret-token' } } );
+
+    const keys = [ ...store.windows.keys() ].filter( ( key ) => key.startsWith( 'by-token:' ) );
+
+    assert.strictEqual( keys.length, 1 );
+    assert.match( keys[ 0 ], /^by-token:[0-9a-f]{64}$/ );
+} );
+
+test( 'an unknown keyBy or algorithm throws when the limiter is made', () => {
+    assert.throws( () => rateLimit( { keyBy: 'session' } ), /Unknown rate limit key "session"/ );
+    assert.throws( () => rateLimit( { algorithm: 'sliding-window' } ), /Unknown rate limit algorithm "sliding-window"/ );
+} );
@@ -0,0 +1,107 @@
+const { test, before, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+// a data directory of its own, set before config is loaded
+const dataDir = fs.mkdtempSync( path.join( os.tmpdir(), 'search-' ) );
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require( 'express' );
+const postRoutes = require( '../routes/post' );
+const postRepository = require( '../repository/PostRepository' );
+const { errorHandler } = require( '../middleware/ErrorHandler' );
+const { search, tokenize } = require( '../utils/search' );
+
+const weights = { title: 3, body: 1 };
+
+const titles = ( items ) => items.map( ( { title } ) => title );
+
+test( 'tokenize drops case, accents and punctuation', () => {
+    assert.deepStrictEqual( tokenize( 'Café, Node.js!' ), [ 'cafe', 'node', 'js' ] );
+    assert.deepStrictEqual( tokenize( 'Ünïcödé 2024 добро' ), [ 'unicode', '2024', 'добро' ] );
+    assert.deepStrictEqual( tokenize( '--- !!' ), [] );
+} );
+
+test( 'every word of the query has to match, as a whole word or the start of one', () => {
+    const posts = [
+        { title: 'Express routing', body: 'Routers and middlewares' },
+        { title: 'Node streams', body: 'Readable and writable' },
+        { title: 'Expressive code', body: 'Naming things in Node' },
+    ];
+
+    assert.deepStrictEqual( titles( search( posts, 'expr', weights ) ), [ 'Express routing', 'Expressive code' ] );
+    assert.deepStrictEqual( titles( search( posts, 'express node', weights ) ), [ 'Expressive code' ] );
+    // inside a word is not a match
+    assert.deepStrictEqual( search( posts, 'press', weights ), [] );
+} );
+
+test( 'a title match beats a body match, and a whole word beats a prefix', () => {
+    const posts = [
+        { title: 'Databases', body: 'Caching with node' },
+        { title: 'Nodemon', body: 'Restarts on change' },
+        { title: 'Node basics', body: 'Getting started' },
+    ];
+
+    // whole word in the title 6, prefix in the title 3, whole word in the body 2
+    assert.deepStrictEqual( titles( search( posts, 'NODE', weights ) ), [ 'Node basics', 'Nodemon', 'Databases' ] );
+} );
+
+test( 'items with the same score keep their order', () => {
+    const posts = [ 'First', 'Second', 'Third' ].map( ( title ) => ( { title, body: 'About café culture' } ) );
+
+    assert.deepStrictEqual( titles( search( posts, 'cafe', weights ) ), [ 'First', 'Second', 'Third' ] );
+} );
+
+// GET /api/posts?q= through the route, its validate() and PostController
+const app = express();
+
+app.use( '/api', postRoutes );
+app.use( errorHandler );
+
+let server;
+let baseUrl;
+
+before( async () => {
+    server = app.listen( 0, '127.0.0.1' );
+    await new Promise( ( resolve ) => server.once( 'listening', resolve ) );
+    baseUrl = `http://127.0.0.1:${ server.address().port }`;
+
+    const now = new Date().toISOString();
+
+    for ( const [ title, body ] of [ [ 'Zebras in the body', 'All about quagga zebras' ], [ 'Quagga', 'An extinct zebra' ] ] ) {
+        await postRepository.create( { authorId: 1, title, body, createdAt: now, updatedAt: now } );
+    }
+} );
+
+after( async () => {
+    await new Promise( ( resolve ) => server.close( resolve ) );
+    await postRepository.flush();
+    fs.rmSync( dataDir, { recursive: true, force: true } );
+} );
+
+const getPosts = async ( query ) => {
+    const response = await fetch( `${ baseUrl }/api/posts?${ new URLSearchParams( query ) }` );
+
+    return { status: response.status, body: await response.json() };
+};
+
+test( 'GET /posts?q= lists the best matches first, and sort still overrides the order', async () => {
+    const relevance = await getPosts( { q: 'quagga' } );
+
+    assert.strictEqual( relevance.status, 200 );
+    assert.strictEqual( relevance.body.total, 2 );
+    assert.deepStrictEqual( titles( relevance.body.data ), [ 'Quagga', 'Zebras in the body' ] );
+
+    const sorted = await getPosts( { q: 'quagga', sort: '-title' } );
+
+    assert.deepStrictEqual( titles( sorted.body.data ), [ 'Zebras in the body', 'Quagga' ] );
+} );
+
+test( 'GET /posts?q= with a blank query is a 400', async () => {
+    assert.strictEqual( ( await getPosts( { q: '   ' } ) ).status, 400 );
+} );
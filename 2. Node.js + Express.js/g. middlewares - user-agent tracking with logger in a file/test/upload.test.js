@@ -0,0 +1,115 @@
+const { test, after } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const EventEmitter = require( 'events' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const { Readable } = require( 'stream' );
+
+// an upload directory of its own, set before config is loaded
+const uploadDir = fs.mkdtempSync( path.join( os.tmpdir(), 'uploads-' ) );
+
+process.env.NODE_ENV = 'test';
+process.env.UPLOAD_DIR = uploadDir;
+
+const { upload } = require( '../middleware/Upload' );
+const { IMAGE_TYPES } = require( '../utils/fileType' );
+
+after( () => {
+    fs.rmSync( uploadDir, { recursive: true, force: true } );
+} );
+
+const boundary = '----test-boundary';
+const PNG = Buffer.from( [ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ] );
+
+const multipartBody = ( filename, content ) => Buffer.concat( [
+    Buffer.from( `--${ boundary }\r\nContent-Disposition: form-data; name="avatar"; filename="${ filename }"\r\nContent-Type: image/png\r\n\r\n` ),
+    content,
+    Buffer.from( `\r\n--${ boundary }--\r\n` ),
+] );
+
+// emits 'close' like a response that was sent
+const fakeResponse = () => Object.assign( new EventEmitter(), {
+    headers: {},
+    set( name, value ) {
+        this.headers[ name ] = value;
+    },
+} );
+
+// Runs the middleware on a fake request with the body (a Buffer or chunks of it).
+// Resolves with { req, res }, rejects with what it throws
+const run = async ( middleware, body, headers = {}, res = fakeResponse() ) => {
+    const req = Object.assign( Readable.from( [].concat( body ) ), {
+        headers: { 'content-type': `multipart/form-data; boundary=${ boundary }`, ...headers },
+    } );
+
+    await middleware( req, res, () => {} );
+
+    return { req, res };
+};
+
+const tempFiles = () => fs.readdirSync( path.join( uploadDir, 'tmp' ) );
+
+const closeResponse = async ( res ) => {
+    res.emit( 'close' );
+    await new Promise( ( resolve ) => setTimeout( resolve, 20 ) );
+};
+
+test( 'accepts a file whose first bytes match an allowed type', async () => {
+    const { req, res } = await run( upload( { field: 'avatar', types: IMAGE_TYPES } ), multipartBody( 'me.png', Buffer.concat( [ PNG, Buffer.alloc( 100 ) ] ) ) );
+    const [ file ] = req.files;
+
+    assert.strictEqual( file.mimeType, 'image/png' );
+    assert.strictEqual( file.size, PNG.length + 100 );
+    assert.ok( fs.existsSync( file.path ) );
+
+    // the temp file is removed once the response is done
+    await closeResponse( res );
+    assert.strictEqual( fs.existsSync( file.path ), false );
+} );
+
+test( 'rejects a file whose magic bytes are not an allowed type, whatever its name says', async () => {
+    const script = Buffer.from( '<script>alert(1)</script>' );
+
+    await assert.rejects( run( upload( { field: 'avatar', types: IMAGE_TYPES } ), multipartBody( 'avatar.png', script ) ), {
+        status: 415,
+        message: /avatar\.png is not an allowed file type/,
+    } );
+} );
+
+test( 'rejects an allowed type that is not in types', async () => {
+    const pdf = Buffer.from( '%PDF-1.7\n' );
+
+    await assert.rejects( run( upload( { field: 'avatar', types: IMAGE_TYPES } ), multipartBody( 'cv.pdf', pdf ) ), { status: 415 } );
+} );
+
+test( 'rejects a file larger than maxFileSize while it streams in', async () => {
+    const middleware = upload( { field: 'avatar', types: IMAGE_TYPES, maxFileSize: 64 } );
+    const res = fakeResponse();
+    const body = multipartBody( 'big.png', Buffer.concat( [ PNG, Buffer.alloc( 200 ) ] ) );
+
+    // the first chunk fits, so the file is already on disk when the second one makes it too large
+    await assert.rejects( run( middleware, [ body.subarray( 0, 180 ), body.subarray( 180 ) ], {}, res ), {
+        status: 413,
+        message: 'big.png is larger than 64 bytes',
+    } );
+
+    // the rest of the body was not read, and the part that was written is removed with the response
+    assert.strictEqual( res.headers.Connection, 'close' );
+    assert.strictEqual( tempFiles().length, 1 );
+    await closeResponse( res );
+    assert.deepStrictEqual( tempFiles(), [] );
+} );
+
+test( 'rejects a request whose Content-Length cannot fit before reading it', async () => {
+    const middleware = upload( { field: 'avatar', types: IMAGE_TYPES, maxFileSize: 64, maxFields: 0 } );
+
+    await assert.rejects( run( middleware, Buffer.alloc( 0 ), { 'content-length': String( 1024 * 1024 ) } ), {
+        status: 413,
+        message: /The request is larger than/,
+    } );
+} );
+
+test( 'rejects a body that is not multipart/form-data', async () => {
+    await assert.rejects( run( upload( { field: 'avatar' } ), Buffer.from( '{}' ), { 'content-type': 'application/json' } ), { status: 415 } );
+} );
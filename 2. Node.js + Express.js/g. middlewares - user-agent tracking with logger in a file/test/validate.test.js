@@ -0,0 +1,89 @@
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert' );
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+const { validate } = require( '../middleware/Validate' );
+const { postIdSchema, postSchema, postListQuerySchema } = require( '../model/schema/Post' );
+const { idempotencyHeadersSchema } = require( '../model/schema/Payment' );
+
+// A fake request whose query is a getter, like in Express 5. Returns it once next() is called
+const run = ( middleware, { headers = {}, params = {}, query = {}, body } = {} ) => {
+    const req = { headers, params, body };
+    let called = false;
+
+    Object.defineProperty( req, 'query', { get: () => query, configurable: true, enumerable: true } );
+
+    middleware( req, {}, () => {
+        called = true;
+    } );
+
+    assert.ok( called, 'next() was called' );
+    return req;
+};
+
+// the { in, path, type } of each problem in a ValidationError
+const problems = ( error ) => error.extensions.errors.map( ( { in: location, path, type } ) => ( { in: location, path, type } ) );
+
+test( 'params and query are converted and the query gets its defaults', () => {
+    const req = run( validate( { params: postIdSchema, query: postListQuerySchema } ), {
+        params: { id: '42' },
+        query: { page: '2', q: '  node  ' },
+    } );
+
+    assert.deepStrictEqual( req.params, { id: 42 } );
+    assert.deepStrictEqual( req.query, { page: 2, limit: 10, q: 'node' } );
+} );
+
+test( 'an unknown query parameter is a 400, not dropped', () => {
+    assert.throws( () => run( validate( { query: postListQuerySchema } ), { query: { pgae: '2' } } ), ( error ) => {
+        assert.strictEqual( error.status, 400 );
+        assert.deepStrictEqual( problems( error ), [ { in: 'query', path: 'pgae', type: 'object.unknown' } ] );
+        return true;
+    } );
+} );
+
+test( 'unknown body fields are dropped and strings are trimmed', () => {
+    const req = run( validate( { body: postSchema } ), {
+        body: { title: ' Hello ', body: 'World', authorId: 1, id: 99 },
+    } );
+
+    assert.deepStrictEqual( req.body, { title: 'Hello', body: 'World' } );
+} );
+
+test( 'headers are only checked: other headers are allowed and req.headers is not replaced', () => {
+    const headers = { 'idempotency-key': 'abc', 'user-agent': 'node' };
+    const req = run( validate( { headers: idempotencyHeadersSchema } ), { headers } );
+
+    assert.strictEqual( req.headers, headers );
+
+    assert.throws( () => run( validate( { headers: idempotencyHeadersSchema } ), { headers: { 'user-agent': 'node' } } ), ( error ) => {
+        assert.deepStrictEqual( problems( error ), [ { in: 'headers', path: 'idempotency-key', type: 'any.required' } ] );
+        return true;
+    } );
+} );
+
+test( 'every problem in every part is reported at once', () => {
+    const middleware = validate( { params: postIdSchema, query: postListQuerySchema, body: postSchema } );
+
+    assert.throws( () => run( middleware, { params: { id: 'abc' }, query: { limit: '500' }, body: {} } ), ( error ) => {
+        assert.deepStrictEqual( problems( error ), [
+            { in: 'params', path: 'id', type: 'number.base' },
+            { in: 'query', path: 'limit', type: 'number.max' },
+            { in: 'body', path: 'title', type: 'any.required' },
+            { in: 'body', path: 'body', type: 'any.required' },
+        ] );
+        return true;
+    } );
+} );
+
+test( 'a missing body is validated as an empty object', () => {
+    assert.throws( () => run( validate( { body: postSchema } ) ), { status: 400 } );
+} );
+
+test( 'the schemas are kept on the middleware for the OpenAPI document', () => {
+    const schemas = { params: postIdSchema, body: postSchema };
+
+    assert.strictEqual( validate( schemas ).schemas, schemas );
+} );
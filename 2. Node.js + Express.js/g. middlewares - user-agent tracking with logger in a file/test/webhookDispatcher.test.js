@@ -0,0 +1,138 @@
+const { test, before, after, beforeEach } = require( 'node:test' );
+const assert = require( 'node:assert' );
+const fs = require( 'fs' );
+const http = require( 'http' );
+const os = require( 'os' );
+const path = require( 'path' );
+
+// a data directory of its own, set before config is loaded
+const dataDir = fs.mkdtempSync( path.join( os.tmpdir(), 'webhooks-' ) );
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+const { WebhookDispatcher, sign } = require( '../services/webhookDispatcher' );
+const webhookRepository = require( '../repository/WebhookRepository' );
+const deliveryRepository = require( '../repository/DeliveryRepository' );
+
+// A local receiver: records every request and answers with the next status in line
+let received = [];
+let statuses = [];
+let receiver;
+let url;
+
+before( async () => {
+    receiver = http.createServer( ( req, res ) => {
+        let body = '';
+
+        req.on( 'data', ( chunk ) => {
+            body += chunk;
+        } );
+        req.on( 'end', () => {
+            received.push( { headers: req.headers, body } );
+            res.writeHead( statuses.shift() || 200 ).end();
+        } );
+    } );
+
+    await new Promise( ( resolve ) => receiver.listen( 0, '127.0.0.1', resolve ) );
+    url = `http://127.0.0.1:${ receiver.address().port }/hook`;
+} );
+
+after( async () => {
+    await new Promise( ( resolve ) => receiver.close( resolve ) );
+    await Promise.all( [ webhookRepository.flush(), deliveryRepository.flush() ] );
+    fs.rmSync( dataDir, { recursive: true, force: true } );
+} );
+
+// every test starts without webhooks, so only its own one receives the event
+beforeEach( async () => {
+    received = [];
+    statuses = [];
+    await webhookRepository.removeWhere( () => true );
+} );
+
+const createWebhook = ( events ) => webhookRepository.create( { url, events, secret: 'whsec_test', active: true } );
+
+// the dispatcher sends on timers, so wait for the delivery to reach a final status
+const waitForStatus = async ( deliveryId, wanted ) => {
+    for ( let tries = 0; tries < 200; tries++ ) {
+        const delivery = await deliveryRepository.findById( deliveryId );
+
+        if ( wanted.includes( delivery.status ) ) {
+            return delivery;
+        }
+
+        await new Promise( ( resolve ) => setTimeout( resolve, 10 ) );
+    }
+
+    throw new Error( `Delivery ${ deliveryId } never reached ${ wanted.join( ' or ' ) }` );
+};
+
+test( 'delivers a signed event to the subscribed webhook', async () => {
+    const webhook = await createWebhook( [ 'user.created' ] );
+    const dispatcher = new WebhookDispatcher( { baseDelayMs: 5 } );
+
+    await dispatcher.dispatch( 'user.created', { id: 1, name: 'Ada' } );
+
+    const [ pending ] = await deliveryRepository.findByWebhook( webhook.id );
+    const delivery = await waitForStatus( pending.id, [ 'delivered', 'dead' ] );
+
+    assert.strictEqual( delivery.status, 'delivered' );
+    assert.strictEqual( delivery.attempts.length, 1 );
+    assert.strictEqual( received.length, 1 );
+
+    const [ { headers, body } ] = received;
+
+    assert.strictEqual( headers[ 'x-webhook-event' ], 'user.created' );
+    assert.strictEqual( headers[ 'x-webhook-delivery' ], String( delivery.id ) );
+    assert.strictEqual( headers[ 'x-webhook-signature' ], `sha256=${ sign( 'whsec_test', headers[ 'x-webhook-timestamp' ], body ) }` );
+    assert.deepStrictEqual( JSON.parse( body ).data, { id: 1, name: 'Ada' } );
+
+    dispatcher.stop();
+} );
+
+test( 'does not send events the webhook did not subscribe to', async () => {
+    const webhook = await createWebhook( [ 'payment.updated' ] );
+    const dispatcher = new WebhookDispatcher( { baseDelayMs: 5 } );
+
+    await dispatcher.dispatch( 'user.created', { id: 1 } );
+
+    assert.deepStrictEqual( await deliveryRepository.findByWebhook( webhook.id ), [] );
+
+    dispatcher.stop();
+} );
+
+test( 'retries a failed delivery until the receiver accepts it', async () => {
+    const webhook = await createWebhook( [ 'payment.created' ] );
+    const dispatcher = new WebhookDispatcher( { baseDelayMs: 5, maxAttempts: 3 } );
+
+    statuses = [ 500, 503 ];
+    await dispatcher.dispatch( 'payment.created', { id: 2 } );
+
+    const [ pending ] = await deliveryRepository.findByWebhook( webhook.id );
+    const delivery = await waitForStatus( pending.id, [ 'delivered', 'dead' ] );
+
+    assert.strictEqual( delivery.status, 'delivered' );
+    assert.deepStrictEqual( delivery.attempts.map( ( attempt ) => attempt.statusCode ), [ 500, 503, 200 ] );
+
+    dispatcher.stop();
+} );
+
+test( 'marks a delivery dead after maxAttempts failures', async () => {
+    const webhook = await createWebhook( [ 'payment.updated' ] );
+    const dispatcher = new WebhookDispatcher( { baseDelayMs: 5, maxAttempts: 3 } );
+
+    statuses = [ 500, 500, 500, 500 ];
+    await dispatcher.dispatch( 'payment.updated', { id: 3 } );
+
+    const [ pending ] = await deliveryRepository.findByWebhook( webhook.id );
+    const delivery = await waitForStatus( pending.id, [ 'delivered', 'dead' ] );
+
+    assert.strictEqual( delivery.status, 'dead' );
+    assert.strictEqual( delivery.attempts.length, 3 );
+    assert.strictEqual( delivery.nextAttemptAt, null );
+    assert.strictEqual( received.length, 3 );
+
+    dispatcher.stop();
+} );
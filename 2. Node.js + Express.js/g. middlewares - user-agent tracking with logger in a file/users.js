@@ -2,17 +2,20 @@ const users = [
     {
         id: 1,
         name: "John",
-        email: "john@gmail.com"
+        email: "john@gmail.com",
+        role: "user"
     },
     {
         id: 2,
         name: "Jane",
-        email: "jane@gmail.com"
+        email: "jane@gmail.com",
+        role: "user"
     },
     {
         id: 3,
         name: "Jim",
-        email: "jim@gmail.com"
+        email: "jim@gmail.com",
+        role: "user"
     },
 ];
 
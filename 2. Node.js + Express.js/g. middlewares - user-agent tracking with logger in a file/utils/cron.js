@@ -0,0 +1,147 @@
+// Five-field cron expressions, evaluated in UTC (the same days the access log rotates on):
+//
+//   ┌──────── minute        0-59
+//   │ ┌────── hour          0-23
+//   │ │ ┌──── day of month  1-31
+//   │ │ │ ┌── month         1-12 or jan-dec
+//   │ │ │ │ ┌ day of week   0-7 or sun-sat (0 and 7 are Sunday)
+//   * * * * *
+//
+// Each field takes *, 5, 1-5, */15, 1-30/5 or a list of those: 0,30. '@daily' and friends work too.
+// Like classic cron, when both day fields are restricted a day matches if EITHER of them does.
+
+const MONTHS = [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ];
+const WEEKDAYS = [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTHS },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAYS },
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+// An expression that never matches (30 2 31 2 *) is reported instead of searched forever
+const MAX_YEARS = 5;
+
+// 'jan' -> 1, 'sun' -> 0, '15' -> 15
+const toNumber = ( text, field ) => {
+    const index = field.names?.indexOf( text.toLowerCase() ) ?? -1;
+
+    if ( index !== -1 ) {
+        return index + field.min;
+    }
+
+    return /^\d+$/.test( text ) ? Number( text ) : NaN;
+};
+
+// '1-30/5' -> Set { 1, 6, 11, ... }
+const parseField = ( text, field ) => {
+    const values = new Set();
+
+    for ( const part of text.split( ',' ) ) {
+        const [ range, stepText ] = part.split( '/' );
+        const step = stepText === undefined ? 1 : Number( stepText );
+        let start = field.min;
+        let end = field.max;
+
+        if ( range !== '*' ) {
+            [ start, end = start ] = range.split( '-' ).map( ( value ) => toNumber( value, field ) );
+
+            // '5/15' means from 5 to the end, every 15
+            if ( stepText !== undefined && !range.includes( '-' ) ) {
+                end = field.max;
+            }
+        }
+
+        if ( !Number.isInteger( step ) || step < 1 || !( start >= field.min && end <= field.max && start <= end ) ) {
+            throw new Error( `Invalid ${ field.name } "${ part }" in cron expression, expected ${ field.min }-${ field.max }` );
+        }
+
+        for ( let value = start; value <= end; value += step ) {
+            values.add( value );
+        }
+    }
+
+    return values;
+};
+
+// '*/15 9-17 * * mon-fri' -> a schedule for nextRun()
+const parseCron = ( expression ) => {
+    const fields = ( MACROS[ expression.trim().toLowerCase() ] || expression ).trim().split( /\s+/ );
+
+    if ( fields.length !== FIELDS.length ) {
+        throw new Error( `Invalid cron expression "${ expression }", expected 5 fields: minute hour day-of-month month day-of-week` );
+    }
+
+    const [ minutes, hours, days, months, weekdays ] = fields.map( ( text, index ) => parseField( text, FIELDS[ index ] ) );
+
+    // 7 is Sunday too
+    if ( weekdays.delete( 7 ) ) {
+        weekdays.add( 0 );
+    }
+
+    return {
+        expression,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: fields[ 2 ].startsWith( '*' ),
+        anyWeekday: fields[ 4 ].startsWith( '*' ),
+    };
+};
+
+const dayMatches = ( schedule, date ) => {
+    const day = schedule.days.has( date.getUTCDate() );
+    const weekday = schedule.weekdays.has( date.getUTCDay() );
+
+    if ( schedule.anyDay || schedule.anyWeekday ) {
+        return day && weekday;
+    }
+
+    return day || weekday;
+};
+
+// The first matching minute strictly after `after` (a Date or ms timestamp)
+const nextRun = ( schedule, after ) => {
+    const date = new Date( after );
+    const limit = new Date( date ).setUTCFullYear( date.getUTCFullYear() + MAX_YEARS );
+
+    date.setUTCSeconds( 0, 0 );
+    date.setUTCMinutes( date.getUTCMinutes() + 1 );
+
+    // jump a whole month, day or hour at a time when that part does not match
+    while ( date.getTime() < limit ) {
+        if ( !schedule.months.has( date.getUTCMonth() + 1 ) ) {
+            date.setUTCMonth( date.getUTCMonth() + 1, 1 );
+            date.setUTCHours( 0, 0, 0, 0 );
+        } else if ( !dayMatches( schedule, date ) ) {
+            date.setUTCDate( date.getUTCDate() + 1 );
+            date.setUTCHours( 0, 0, 0, 0 );
+        } else if ( !schedule.hours.has( date.getUTCHours() ) ) {
+            date.setUTCHours( date.getUTCHours() + 1, 0, 0, 0 );
+        } else if ( !schedule.minutes.has( date.getUTCMinutes() ) ) {
+            date.setUTCMinutes( date.getUTCMinutes() + 1, 0, 0 );
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error( `Cron expression "${ schedule.expression }" never matches` );
+};
+
+exports.parseCron = parseCron;
+
+exports.nextRun = nextRun;
@@ -0,0 +1,85 @@
+const http = require( 'http' );
+
+// Errors that map to an HTTP status. Throw them from controllers and middlewares,
+// the errorHandler middleware turns them into an application/problem+json response
+class HttpError extends Error {
+    constructor( status, detail, extensions = {} ) {
+        super( detail );
+        this.name = this.constructor.name;
+        this.status = status;
+        this.title = http.STATUS_CODES[ status ];
+        this.extensions = extensions;
+    }
+}
+
+// Takes a Joi error (validated with abortEarly: false to get every problem) or a plain message
+class ValidationError extends HttpError {
+    constructor( error, detail = 'The request is not valid' ) {
+        const errors = typeof error === 'string'
+            ? [ { message: error } ]
+            : error.details.map( ( { message, path, type, in: location } ) => ( { in: location, message, path: path.join( '.' ), type } ) );
+
+        super( 400, typeof error === 'string' ? error : detail, { errors } );
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor( detail = 'Authentication is required' ) {
+        super( 401, detail );
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor( detail = 'You are not allowed to do this' ) {
+        super( 403, detail );
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor( detail = 'Not found' ) {
+        super( 404, detail );
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor( detail = 'Conflict' ) {
+        super( 409, detail );
+    }
+}
+
+class UnprocessableEntityError extends HttpError {
+    constructor( detail = 'The request cannot be processed' ) {
+        super( 422, detail );
+    }
+}
+
+class PayloadTooLargeError extends HttpError {
+    constructor( detail = 'The request is too large' ) {
+        super( 413, detail );
+    }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+    constructor( detail = 'This content type is not supported' ) {
+        super( 415, detail );
+    }
+}
+
+class TooManyRequestsError extends HttpError {
+    constructor( detail = 'Too many requests' ) {
+        super( 429, detail );
+    }
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    UnprocessableEntityError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    TooManyRequestsError,
+};
@@ -0,0 +1,103 @@
+const EventEmitter = require( 'events' );
+const { EVENT_SCHEMAS } = require( '../model/schema/Events' );
+const log = require( './log' );
+
+// Domain events such as user.created or payment.updated. Controllers publish them without knowing who listens,
+// and without waiting for the listeners: the response does not depend on them
+//
+//   events.publish( 'user.created', { id, name, email, role } );
+//
+//   events.on( 'payment.*', async ( payment, { event } ) => { ... } );
+//   const payment = await events.waitFor( 'payment.updated', { timeoutMs: 5000 } );
+//
+// Compared to a plain EventEmitter:
+// - every event has a payload schema (model/schema/Events.js), checked before any listener runs
+// - listeners may be async. publish() resolves when all of them are done, and one failing does not stop the others
+// - publish() never rejects: the write that the event is about has already happened
+// - 'payment.*' listens to every payment event, '*' to everything
+class EventBus extends EventEmitter {
+    constructor( schemas = {} ) {
+        super();
+        this.schemas = new Map( Object.entries( schemas ) );
+    }
+
+    define( event, schema ) {
+        this.schemas.set( event, schema );
+    }
+
+    // Throws for an unknown event or an invalid payload, returns the validated payload
+    validate( event, payload ) {
+        const schema = this.schemas.get( event );
+
+        if ( !schema ) {
+            throw new Error( `Unknown event "${ event }"` );
+        }
+
+        const { value, error } = schema.validate( payload, { abortEarly: false, convert: false } );
+
+        if ( error ) {
+            throw new Error( `Invalid "${ event }" payload: ${ error.message }` );
+        }
+
+        return value;
+    }
+
+    // Listeners for the event itself, then the 'payment.*' and '*' ones. rawListeners keeps the
+    // once() wrappers, so a once listener removes itself when it is called
+    matchingListeners( event ) {
+        const patterns = this.eventNames().filter( ( name ) => typeof name === 'string' && name.endsWith( '*' ) && name !== event );
+        const wildcards = patterns
+            .filter( ( pattern ) => event.startsWith( pattern.slice( 0, -1 ) ) )
+            .flatMap( ( pattern ) => this.rawListeners( pattern ) );
+
+        return [ ...this.rawListeners( event ), ...wildcards ];
+    }
+
+    // Runs every listener. Resolves with { event, listeners, failed } once they are done. An invalid
+    // payload is logged and reaches no listener
+    async publish( event, payload ) {
+        let value;
+
+        try {
+            value = this.validate( event, payload );
+        } catch ( error ) {
+            log.error( error.message );
+
+            return { event, listeners: 0, failed: 0, error: error.message };
+        }
+
+        const listeners = this.matchingListeners( event );
+
+        const results = await Promise.allSettled( listeners.map( async ( listener ) => listener.call( this, value, { event } ) ) );
+        const failed = results.filter( ( result ) => result.status === 'rejected' );
+
+        for ( const { reason } of failed ) {
+            log.error( `A "${ event }" listener failed:`, reason );
+        }
+
+        return { event, listeners: listeners.length, failed: failed.length };
+    }
+
+    // Resolves with the payload of the next matching event, rejects after timeoutMs
+    waitFor( event, { timeoutMs = 30 * 1000, filter = () => true } = {} ) {
+        return new Promise( ( resolve, reject ) => {
+            const listener = ( payload ) => {
+                if ( filter( payload ) ) {
+                    clearTimeout( timer );
+                    this.off( event, listener );
+                    resolve( payload );
+                }
+            };
+
+            const timer = setTimeout( () => {
+                this.off( event, listener );
+                reject( new Error( `Timed out after ${ timeoutMs } ms waiting for "${ event }"` ) );
+            }, timeoutMs );
+
+            this.on( event, listener );
+        } );
+    }
+}
+
+// The app's bus, with the EventBus class on it for a separate one (e.g. in a script)
+module.exports = Object.assign( new EventBus( EVENT_SCHEMAS ), { EventBus } );
@@ -0,0 +1,182 @@
+const fs = require( 'fs/promises' );
+const { createReadStream } = require( 'fs' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+const readline = require( 'readline' );
+const log = require( './log' );
+
+// Promise-based file access for everything the app keeps on disk (data/*.json, logs/*.log):
+//
+//   const users = await fileStore.readJson( file, { fallback: { nextId: 1, users: [] } } );
+//   await fileStore.writeJson( file, users, { backup: true } );
+//   await fileStore.appendLines( file, [ JSON.stringify( record ) ] );
+//   for await ( const record of fileStore.readJsonLines( file ) ) { ... }
+//
+// - Writes go to a temp file that is renamed over the real one, so a crash never leaves half a file
+// - Writes to the same file run one after another, in the order they were asked for
+// - Log files are read line by line, never held in memory as a whole
+// - A JSON file that is truncated or corrupt is moved aside and the last backup (or the fallback) is used
+
+const queues = new Map(); // absolute path -> promise of the last queued write
+
+const keyOf = ( file ) => path.resolve( file );
+
+// Run task after every write already queued for the file, even if one of them failed
+const enqueue = ( file, task ) => {
+    const key = keyOf( file );
+    const previous = queues.get( key ) || Promise.resolve();
+    const result = previous.then( task, task );
+    const tail = result.catch( () => {} );
+
+    queues.set( key, tail );
+
+    // forget the file once its queue is empty, so the map does not grow with every file ever written
+    tail.then( () => {
+        if ( queues.get( key ) === tail ) {
+            queues.delete( key );
+        }
+    } );
+
+    return result;
+};
+
+// Wait for the queued writes of one file, or of every file
+const flush = async ( file ) => {
+    const pending = file === undefined ? [ ...queues.values() ] : [ queues.get( keyOf( file ) ) ];
+
+    await Promise.all( pending );
+};
+
+const tempFileOf = ( file ) => `${ file }.${ process.pid }.${ crypto.randomBytes( 4 ).toString( 'hex' ) }.tmp`;
+
+// Write to a temp file, then rename it over the real one
+const writeFileAtomic = async ( file, data ) => {
+    const tempFile = tempFileOf( file );
+
+    await fs.mkdir( path.dirname( file ), { recursive: true } );
+
+    try {
+        const handle = await fs.open( tempFile, 'w' );
+
+        try {
+            await handle.writeFile( data );
+            // on disk before the rename, not just in the OS cache
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.rename( tempFile, file );
+    } catch ( error ) {
+        await fs.rm( tempFile, { force: true } );
+        throw error;
+    }
+};
+
+// Atomic, queued write. value can be a function, called when it is this write's turn, so a queued write
+// always stores the latest state. backup: true keeps the previous version as <file>.bak (written
+// atomically as well), used by readJson if the file gets corrupted
+const writeJson = ( file, value, { backup = false } = {} ) => enqueue( file, async () => {
+    if ( backup ) {
+        const previous = await fs.readFile( file ).catch( ( error ) => {
+            if ( error.code !== 'ENOENT' ) {
+                throw error;
+            }
+        } );
+
+        if ( previous !== undefined ) {
+            await writeFileAtomic( `${ file }.bak`, previous );
+        }
+    }
+
+    await writeFileAtomic( file, JSON.stringify( typeof value === 'function' ? value() : value, null, 2 ) );
+} );
+
+// undefined if the file does not exist, throws a SyntaxError if it is not valid JSON
+const parseJsonFile = async ( file ) => {
+    let raw;
+
+    try {
+        raw = await fs.readFile( file, 'utf8' );
+    } catch ( error ) {
+        if ( error.code === 'ENOENT' ) {
+            return undefined;
+        }
+
+        throw error;
+    }
+
+    // an empty file is what a crash during a non-atomic write usually leaves behind
+    if ( raw.trim() === '' ) {
+        throw new SyntaxError( 'Unexpected end of JSON input' );
+    }
+
+    return JSON.parse( raw );
+};
+
+// The parsed file, or fallback if it does not exist. A corrupt file is renamed to <file>.corrupt-<time>
+// (kept for a look by hand) and the backup written by writeJson( ..., { backup: true } ) is used instead
+const readJson = async ( file, { fallback } = {} ) => {
+    try {
+        const value = await parseJsonFile( file );
+
+        return value === undefined ? fallback : value;
+    } catch ( error ) {
+        if ( !( error instanceof SyntaxError ) ) {
+            throw error;
+        }
+
+        const corruptFile = `${ file }.corrupt-${ new Date().toISOString().replace( /[:.]/g, '-' ) }`;
+
+        await fs.rename( file, corruptFile );
+
+        const backup = await parseJsonFile( `${ file }.bak` ).catch( () => undefined );
+
+        log.warn( `${ file } is not valid JSON (${ error.message }), moved it to ${ corruptFile } and ${ backup === undefined ? 'started over' : 'restored the backup' }` );
+
+        return backup === undefined ? fallback : backup;
+    }
+};
+
+// Queued append, e.g. for a log file. lines is an array of strings without the '\n'
+const appendLines = ( file, lines ) => enqueue( file, async () => {
+    await fs.mkdir( path.dirname( file ), { recursive: true } );
+    await fs.appendFile( file, lines.map( ( line ) => `${ line }\n` ).join( '' ) );
+} );
+
+// Lines of a file of any size, streamed. Nothing if the file does not exist
+const readLines = async function* ( file ) {
+    const input = createReadStream( file );
+
+    try {
+        await new Promise( ( resolve, reject ) => {
+            input.once( 'open', resolve );
+            input.once( 'error', reject );
+        } );
+    } catch ( error ) {
+        if ( error.code === 'ENOENT' ) {
+            return;
+        }
+
+        throw error;
+    }
+
+    yield* readline.createInterface( { input, crlfDelay: Infinity } );
+};
+
+// One JSON value per line. Lines that are not valid JSON (e.g. a line cut short by a crash) are skipped
+const readJsonLines = async function* ( file ) {
+    for await ( const line of readLines( file ) ) {
+        try {
+            yield JSON.parse( line );
+        } catch {
+            continue;
+        }
+    }
+};
+
+exports.flush = flush;
+exports.writeJson = writeJson;
+exports.readJson = readJson;
+exports.appendLines = appendLines;
+exports.readJsonLines = readJsonLines;
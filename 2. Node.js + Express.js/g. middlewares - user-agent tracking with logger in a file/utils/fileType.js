@@ -0,0 +1,35 @@
+// What a file really is, from its first bytes ("magic bytes"). The extension and the Content-Type a
+// client sends are only claims: a script renamed to avatar.png still starts with '<'
+
+const SIGNATURES = [
+    { mimeType: 'image/png', extension: '.png', bytes: [ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ] },
+    { mimeType: 'image/jpeg', extension: '.jpg', bytes: [ 0xff, 0xd8, 0xff ] },
+    { mimeType: 'image/gif', extension: '.gif', bytes: [ 0x47, 0x49, 0x46, 0x38, [ 0x37, 0x39 ], 0x61 ] }, // GIF87a, GIF89a
+    // RIFF????WEBP, the ? bytes are the file size
+    { mimeType: 'image/webp', extension: '.webp', bytes: [ 0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50 ] },
+    { mimeType: 'application/pdf', extension: '.pdf', bytes: [ 0x25, 0x50, 0x44, 0x46, 0x2d ] }, // %PDF-
+];
+
+// How many bytes detectFileType needs to tell every type above apart
+const HEADER_SIZE = Math.max( ...SIGNATURES.map( ( { bytes } ) => bytes.length ) );
+
+const matches = ( buffer, bytes ) => buffer.length >= bytes.length && bytes.every( ( byte, index ) => {
+    if ( byte === null ) {
+        return true;
+    }
+
+    return Array.isArray( byte ) ? byte.includes( buffer[ index ] ) : buffer[ index ] === byte;
+} );
+
+// { mimeType, extension } or null if the type is not known
+const detectFileType = ( buffer ) => {
+    const signature = SIGNATURES.find( ( { bytes } ) => matches( buffer, bytes ) );
+
+    return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+exports.HEADER_SIZE = HEADER_SIZE;
+
+exports.IMAGE_TYPES = [ 'image/png', 'image/jpeg', 'image/gif', 'image/webp' ];
+
+exports.detectFileType = detectFileType;
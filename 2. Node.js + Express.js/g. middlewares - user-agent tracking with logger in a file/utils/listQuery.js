@@ -0,0 +1,77 @@
+// Helpers for list routes: ?page=&limit=&sort=&fields= plus substring filters
+
+// 'name,-id' -> [ { field: 'name', direction: 1 }, { field: 'id', direction: -1 } ]
+const parseSort = ( sort ) => sort
+    .split( ',' )
+    .map( ( key ) => key.startsWith( '-' )
+        ? { field: key.slice( 1 ), direction: -1 }
+        : { field: key, direction: 1 } );
+
+const compare = ( a, b ) => {
+    if ( typeof a === 'string' && typeof b === 'string' ) {
+        return a.localeCompare( b );
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const pick = ( item, fields ) => Object.fromEntries(
+    fields.filter( ( field ) => field in item ).map( ( field ) => [ field, item[ field ] ] )
+);
+
+// Keeps the rest of the (validated) query and only changes the page number
+const pageLink = ( req, query, page ) => {
+    const params = new URLSearchParams( Object.entries( { ...query, page } ).filter( ( [ , value ] ) => value !== undefined ) );
+
+    return `${ req.baseUrl }${ req.path }?${ params }`;
+};
+
+// query is the validated query object. filters lists the fields that are matched by substring
+exports.applyListQuery = ( req, items, query, filters ) => {
+    const { page, limit, sort, fields } = query;
+
+    let result = items.filter( ( item ) => filters.every( ( field ) => {
+        if ( query[ field ] === undefined ) {
+            return true;
+        }
+
+        return String( item[ field ] ).toLowerCase().includes( query[ field ].toLowerCase() );
+    } ) );
+
+    if ( sort ) {
+        const keys = parseSort( sort );
+
+        result.sort( ( a, b ) => {
+            for ( const { field, direction } of keys ) {
+                const order = compare( a[ field ], b[ field ] );
+
+                if ( order !== 0 ) {
+                    return order * direction;
+                }
+            }
+
+            return 0;
+        } );
+    }
+
+    const total = result.length;
+    const totalPages = Math.ceil( total / limit );
+
+    result = result.slice( ( page - 1 ) * limit, page * limit );
+
+    if ( fields ) {
+        result = result.map( ( item ) => pick( item, fields.split( ',' ) ) );
+    }
+
+    return {
+        data: result,
+        total,
+        page,
+        limit,
+        totalPages,
+        links: {
+            next: page < totalPages ? pageLink( req, query, page + 1 ) : null,
+            prev: page > 1 ? pageLink( req, query, Math.min( page - 1, Math.max( totalPages, 1 ) ) ) : null,
+        },
+    };
+};
@@ -0,0 +1,16 @@
+const config = require( '../config' );
+
+// console.error / warn / log / debug, but only up to LOG_LEVEL. error < warn < info < debug
+const LEVELS = [ 'error', 'warn', 'info', 'debug' ];
+const threshold = LEVELS.indexOf( config.logLevel );
+
+const write = ( level, method ) => ( ...args ) => {
+    if ( LEVELS.indexOf( level ) <= threshold ) {
+        console[ method ]( ...args );
+    }
+};
+
+exports.error = write( 'error', 'error' );
+exports.warn = write( 'warn', 'warn' );
+exports.info = write( 'info', 'log' );
+exports.debug = write( 'debug', 'debug' );
@@ -1,17 +1,171 @@
-const fs = require( 'fs' );
+const fs = require( 'fs/promises' );
 const path = require( 'path' );
+const config = require( '../config' );
+const fileStore = require( './fileStore' );
+const log = require( './log' );
 
-const userAgentFile = path.join( __dirname, '../userAgent.json' );
+const DAY = 24 * 60 * 60 * 1000;
 
-exports.saveUserAgent = ( agentString ) => {
-    let data = [];
+const dateOf = ( time ) => new Date( time ).toISOString().slice( 0, 10 );
 
-    if ( fs.existsSync( userAgentFile ) ) {
-        const raw = fs.readFileSync( userAgentFile );
-        data = JSON.parse( raw );
+// Append-only JSON lines log. Records are buffered and written in batches, so logging never blocks a request.
+// The file is rotated when it grows past maxBytes or the day changes, and old files are deleted.
+class AccessLogger {
+    constructor( {
+        dir,
+        name = 'access',
+        maxBytes = 10 * 1024 * 1024,
+        maxFiles = 14,
+        maxAgeDays = 30,
+        flushInterval = 1000,
+        maxBatch = 100,
+    } ) {
+        this.dir = dir;
+        this.name = name;
+        this.filePath = path.join( dir, `${ name }.log` );
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.maxAgeDays = maxAgeDays;
+        this.flushInterval = flushInterval;
+        this.maxBatch = maxBatch;
+
+        this.buffer = [];
+        this.timer = null;
+        this.flushing = Promise.resolve();
+        this.file = null; // { size, date } of the current file, read on the first flush
+    }
+
+    log( record ) {
+        this.buffer.push( JSON.stringify( record ) );
+
+        if ( this.buffer.length >= this.maxBatch ) {
+            this.flush();
+        } else if ( !this.timer ) {
+            this.timer = setTimeout( () => this.flush(), this.flushInterval );
+            this.timer.unref();
+        }
+    }
+
+    // Write everything buffered so far. Flushes run one after another
+    flush() {
+        clearTimeout( this.timer );
+        this.timer = null;
+
+        if ( this.buffer.length === 0 ) {
+            return this.flushing;
+        }
+
+        const lines = this.buffer.splice( 0 );
+        const write = () => this.write( lines ).catch( ( error ) => {
+            // a logging failure should never break the app
+            log.error( 'Error writing access log:', error );
+        } );
+
+        this.flushing = this.flushing.then( write );
+
+        return this.flushing;
+    }
+
+    async write( lines ) {
+        if ( !this.file ) {
+            await fs.mkdir( this.dir, { recursive: true } );
+            this.file = await fs.stat( this.filePath )
+                .then( ( stats ) => ( { size: stats.size, date: dateOf( stats.mtimeMs ) } ) )
+                .catch( () => ( { size: 0, date: dateOf( Date.now() ) } ) );
+        }
+
+        const bytes = lines.reduce( ( total, line ) => total + Buffer.byteLength( line ) + 1, 0 );
+        const today = dateOf( Date.now() );
+
+        if ( this.file.size > 0 && ( this.file.date !== today || this.file.size + bytes > this.maxBytes ) ) {
+            await this.rotate();
+        }
+
+        await fileStore.appendLines( this.filePath, lines );
+
+        this.file.size += bytes;
+        this.file.date = today;
+    }
+
+    // access.log -> access.2026-10-19T08-30-00-000Z.log, then apply the retention limits
+    async rotate() {
+        const stamp = new Date().toISOString().replace( /[:.]/g, '-' );
+
+        await fs.rename( this.filePath, path.join( this.dir, `${ this.name }.${ stamp }.log` ) );
+        this.file = { size: 0, date: dateOf( Date.now() ) };
+
+        const rotated = ( await this.rotatedFiles() ).reverse(); // newest first
+        const oldest = Date.now() - this.maxAgeDays * DAY;
+
+        for ( const [ index, file ] of rotated.entries() ) {
+            const { mtimeMs } = await fs.stat( file );
+
+            if ( index >= this.maxFiles || mtimeMs < oldest ) {
+                await fs.unlink( file );
+            }
+        }
+    }
+
+    // Rotate now instead of on the next write, e.g. from a scheduled job at midnight. Runs after the
+    // writes that are already queued, and does nothing if the current file is empty
+    rotateNow() {
+        const rotate = async () => {
+            const stats = await fs.stat( this.filePath ).catch( () => null );
+
+            if ( stats && stats.size > 0 ) {
+                await this.rotate();
+            }
+        };
+
+        const rotated = this.flushing.then( rotate );
+
+        // the caller gets the error, the writes after it still run
+        this.flushing = rotated.catch( () => {} );
+
+        return rotated;
+    }
+
+    // Rotated files, oldest first (the timestamp in the name sorts correctly)
+    async rotatedFiles() {
+        const names = await fs.readdir( this.dir );
+
+        return names
+            .filter( ( name ) => name.startsWith( `${ this.name }.` ) && name.endsWith( '.log' ) && name !== `${ this.name }.log` )
+            .sort()
+            .map( ( name ) => path.join( this.dir, name ) );
+    }
+
+    // Streams the records logged between from and to (ms timestamps), oldest files first.
+    // Lines that are not valid JSON (e.g. cut short by a crash) are skipped
+    async *read( { from = 0, to = Date.now() } = {} ) {
+        await this.flush();
+
+        const files = [ ...await this.rotatedFiles().catch( () => [] ), this.filePath ];
+
+        for ( const file of files ) {
+            const stats = await fs.stat( file ).catch( () => null );
+
+            // a file last written before the window cannot contain anything in it
+            if ( !stats || stats.mtimeMs < from ) {
+                continue;
+            }
+
+            for await ( const record of fileStore.readJsonLines( file ) ) {
+                const time = Date.parse( record.timestamp );
+
+                if ( time >= from && time <= to ) {
+                    yield record;
+                }
+            }
+        }
+    }
+
+    // Flush what is left, e.g. before the process exits
+    async close() {
+        await this.flush();
     }
+}
 
-    data.push( agentString );
+exports.AccessLogger = AccessLogger;
 
-    fs.writeFileSync( userAgentFile, JSON.stringify( data, null, 2 ) );
-}
\ No newline at end of file
+exports.accessLogger = new AccessLogger( { dir: config.logDir } );
@@ -0,0 +1,235 @@
+const os = require( 'os' );
+const health = require( '../../../1. Node.js/e. shared modules - dual commonjs + esm package/cjs/health' );
+
+// Process and per-route metrics for GET /metrics, as JSON (snapshot) or Prometheus text (toPrometheus):
+// - CPU usage from the os.cpus() times, sampled every 5 seconds. The times only ever grow, so the
+//   usage is the busy share of the time that passed between two samples
+// - Memory of the machine (os.freemem, os.totalmem) and of the process, the load average
+// - Event-loop lag, from the shared health module
+// - Count, status codes and latency of every route, recorded by middleware/Metrics.js
+
+const SAMPLE_INTERVAL = 5 * 1000;
+
+// Upper bounds of the latency histogram, in seconds
+const LATENCY_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+// { busy, total } ms per core since boot
+const cpuTimes = () => os.cpus().map( ( { times } ) => {
+    const busy = times.user + times.nice + times.sys + times.irq;
+
+    return { busy, total: busy + times.idle };
+} );
+
+let lastCpus = cpuTimes();
+let lastProcess = { usage: process.cpuUsage(), time: process.hrtime.bigint() };
+let cpu = { usage: 0, cores: lastCpus.map( () => 0 ), process: 0 };
+
+const ratio = ( part, whole ) => ( whole > 0 ? Math.round( part / whole * 10000 ) / 10000 : 0 );
+
+const sampleCpu = () => {
+    const cpus = cpuTimes();
+    const usage = process.cpuUsage();
+    const time = process.hrtime.bigint();
+
+    // a core that was not there at the last sample (e.g. a container got more) starts at 0
+    const deltas = cpus.map( ( core, index ) => {
+        const previous = lastCpus[ index ] || core;
+
+        return { busy: core.busy - previous.busy, total: core.total - previous.total };
+    } );
+
+    const busy = deltas.reduce( ( sum, delta ) => sum + delta.busy, 0 );
+    const total = deltas.reduce( ( sum, delta ) => sum + delta.total, 0 );
+
+    // process.cpuUsage() is in µs, hrtime in ns. The share is of the whole machine, like usage
+    const processMicros = usage.user - lastProcess.usage.user + usage.system - lastProcess.usage.system;
+    const elapsedMicros = Number( time - lastProcess.time ) / 1e3;
+
+    cpu = {
+        usage: ratio( busy, total ),
+        cores: deltas.map( ( delta ) => ratio( delta.busy, delta.total ) ),
+        process: ratio( processMicros, elapsedMicros * cpus.length ),
+    };
+
+    lastCpus = cpus;
+    lastProcess = { usage, time };
+};
+
+setInterval( sampleCpu, SAMPLE_INTERVAL ).unref();
+
+// 'GET /api/users/:id' -> { method, route, count, statuses, sumSeconds, maxSeconds, buckets }
+const routes = new Map();
+let inFlight = 0;
+
+exports.requestStarted = () => {
+    inFlight += 1;
+};
+
+// also for a request that never finished (the client went away)
+exports.requestClosed = () => {
+    inFlight = Math.max( 0, inFlight - 1 );
+};
+
+// route is the route pattern, never the real path: /api/users/5 and /api/users/6 are the same route
+exports.requestFinished = ( { method, route, status, seconds } ) => {
+    const key = `${ method } ${ route }`;
+
+    if ( !routes.has( key ) ) {
+        routes.set( key, { method, route, count: 0, statuses: {}, sumSeconds: 0, maxSeconds: 0, buckets: LATENCY_BUCKETS.map( () => 0 ) } );
+    }
+
+    const stats = routes.get( key );
+    const bucket = LATENCY_BUCKETS.findIndex( ( bound ) => seconds <= bound );
+
+    stats.count += 1;
+    stats.statuses[ status ] = ( stats.statuses[ status ] || 0 ) + 1;
+    stats.sumSeconds += seconds;
+    stats.maxSeconds = Math.max( stats.maxSeconds, seconds );
+
+    // slower than the last bound: only counted in +Inf, which is count
+    if ( bucket !== -1 ) {
+        stats.buckets[ bucket ] += 1;
+    }
+};
+
+// Estimated from the histogram like Prometheus' histogram_quantile: linear inside the bucket the
+// quantile falls in. Above the last bound the max is the best there is
+const quantile = ( stats, q ) => {
+    const rank = q * stats.count;
+    let below = 0;
+
+    for ( const [ index, bound ] of LATENCY_BUCKETS.entries() ) {
+        const inBucket = stats.buckets[ index ];
+
+        if ( below + inBucket >= rank && inBucket > 0 ) {
+            const lower = index === 0 ? 0 : LATENCY_BUCKETS[ index - 1 ];
+
+            return Math.min( lower + ( bound - lower ) * ( rank - below ) / inBucket, stats.maxSeconds );
+        }
+
+        below += inBucket;
+    }
+
+    return stats.maxSeconds;
+};
+
+const toMs = ( seconds ) => Math.round( seconds * 1e5 ) / 100;
+
+exports.snapshot = () => {
+    const memory = process.memoryUsage();
+    const [ load1, load5, load15 ] = os.loadavg();
+    const freeBytes = os.freemem();
+    const totalBytes = os.totalmem();
+    const stats = [ ...routes.values() ];
+
+    return {
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round( process.uptime() ),
+        cpu: {
+            count: cpu.cores.length,
+            usage: cpu.usage,
+            cores: cpu.cores,
+            process: cpu.process,
+            sampleIntervalSeconds: SAMPLE_INTERVAL / 1000,
+        },
+        memory: {
+            totalBytes,
+            freeBytes,
+            usage: ratio( totalBytes - freeBytes, totalBytes ),
+            process: {
+                rssBytes: memory.rss,
+                heapUsedBytes: memory.heapUsed,
+                heapTotalBytes: memory.heapTotal,
+                externalBytes: memory.external,
+            },
+        },
+        // always [ 0, 0, 0 ] on Windows
+        loadAverage: { '1m': load1, '5m': load5, '15m': load15 },
+        eventLoopLag: health.eventLoopLag(),
+        http: {
+            inFlight,
+            requests: stats.reduce( ( sum, { count } ) => sum + count, 0 ),
+            routes: stats.map( ( route ) => ( {
+                method: route.method,
+                route: route.route,
+                count: route.count,
+                statuses: route.statuses,
+                latencyMs: {
+                    mean: toMs( route.sumSeconds / route.count ),
+                    p50: toMs( quantile( route, 0.5 ) ),
+                    p95: toMs( quantile( route, 0.95 ) ),
+                    p99: toMs( quantile( route, 0.99 ) ),
+                    max: toMs( route.maxSeconds ),
+                },
+            } ) ),
+        },
+    };
+};
+
+// label values may contain anything, the format only allows \\, \" and \n escaped
+const escapeLabel = ( value ) => String( value ).replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\n/g, '\\n' );
+
+const formatLabels = ( labels = {} ) => {
+    const pairs = Object.entries( labels ).map( ( [ key, value ] ) => `${ key }="${ escapeLabel( value ) }"` );
+
+    return pairs.length ? `{${ pairs.join( ',' ) }}` : '';
+};
+
+// # HELP and # TYPE, then one line per sample: [ labels, value ]
+const metric = ( name, type, help, samples ) => [
+    `# HELP ${ name } ${ help }`,
+    `# TYPE ${ name } ${ type }`,
+    ...samples.map( ( [ labels, value ] ) => `${ name }${ formatLabels( labels ) } ${ value }` ),
+];
+
+// Text exposition format 0.0.4, https://prometheus.io/docs/instrumenting/exposition_formats/
+exports.toPrometheus = () => {
+    const memory = process.memoryUsage();
+    const usage = process.cpuUsage();
+    const stats = [ ...routes.values() ];
+
+    // one histogram per route: cumulative buckets, then +Inf, sum and count
+    const histogram = stats.flatMap( ( { method, route, count, sumSeconds, buckets } ) => {
+        let cumulative = 0;
+
+        return [
+            ...LATENCY_BUCKETS.map( ( bound, index ) => {
+                cumulative += buckets[ index ];
+
+                return `http_request_duration_seconds_bucket${ formatLabels( { method, route, le: bound } ) } ${ cumulative }`;
+            } ),
+            `http_request_duration_seconds_bucket${ formatLabels( { method, route, le: '+Inf' } ) } ${ count }`,
+            `http_request_duration_seconds_sum${ formatLabels( { method, route } ) } ${ sumSeconds }`,
+            `http_request_duration_seconds_count${ formatLabels( { method, route } ) } ${ count }`,
+        ];
+    } );
+
+    const lag = health.eventLoopLag();
+    const [ load1, load5, load15 ] = os.loadavg();
+
+    return [
+        ...metric( 'system_cpu_usage_ratio', 'gauge', `Busy share of all CPU cores over the last ${ SAMPLE_INTERVAL / 1000 } seconds`, [ [ {}, cpu.usage ] ] ),
+        ...metric( 'system_cpu_core_usage_ratio', 'gauge', 'Busy share of one CPU core over the last sample', cpu.cores.map( ( value, index ) => [ { cpu: index }, value ] ) ),
+        ...metric( 'system_memory_total_bytes', 'gauge', 'Total memory of the machine', [ [ {}, os.totalmem() ] ] ),
+        ...metric( 'system_memory_free_bytes', 'gauge', 'Free memory of the machine', [ [ {}, os.freemem() ] ] ),
+        ...metric( 'system_load_average', 'gauge', 'Load average, 0 on Windows', [ [ { period: '1m' }, load1 ], [ { period: '5m' }, load5 ], [ { period: '15m' }, load15 ] ] ),
+        ...metric( 'process_cpu_usage_ratio', 'gauge', 'Share of all CPU cores used by this process over the last sample', [ [ {}, cpu.process ] ] ),
+        ...metric( 'process_cpu_seconds_total', 'counter', 'User and system CPU time used by this process', [ [ {}, ( usage.user + usage.system ) / 1e6 ] ] ),
+        ...metric( 'process_resident_memory_bytes', 'gauge', 'Resident set size of this process', [ [ {}, memory.rss ] ] ),
+        ...metric( 'nodejs_heap_used_bytes', 'gauge', 'V8 heap in use', [ [ {}, memory.heapUsed ] ] ),
+        ...metric( 'nodejs_heap_total_bytes', 'gauge', 'V8 heap allocated', [ [ {}, memory.heapTotal ] ] ),
+        ...metric( 'nodejs_external_memory_bytes', 'gauge', 'Memory of C++ objects bound to JavaScript objects', [ [ {}, memory.external ] ] ),
+        ...metric( 'nodejs_eventloop_lag_seconds', 'gauge', 'Event-loop lag over the last minute', [
+            [ { stat: 'mean' }, lag.meanMs / 1000 ],
+            [ { stat: 'p99' }, lag.p99Ms / 1000 ],
+            [ { stat: 'max' }, lag.maxMs / 1000 ],
+        ] ),
+        ...metric( 'process_uptime_seconds', 'gauge', 'Seconds since the process started', [ [ {}, Math.round( process.uptime() ) ] ] ),
+        ...metric( 'http_requests_in_flight', 'gauge', 'Requests being handled right now', [ [ {}, inFlight ] ] ),
+        ...metric( 'http_requests_total', 'counter', 'Finished requests by route and status code', stats.flatMap( ( { method, route, statuses } ) =>
+            Object.entries( statuses ).map( ( [ status, count ] ) => [ { method, route, status }, count ] ) ) ),
+        '# HELP http_request_duration_seconds Time from the request to the end of the response',
+        '# TYPE http_request_duration_seconds histogram',
+        ...histogram,
+    ].join( '\n' ) + '\n';
+};
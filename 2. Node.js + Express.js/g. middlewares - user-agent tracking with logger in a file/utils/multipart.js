@@ -0,0 +1,193 @@
+const path = require( 'path' );
+const { ValidationError } = require( './errors' );
+
+// A streaming multipart/form-data parser. The body is read chunk by chunk and every part's content is
+// handed on as it arrives, so a file is never held in memory:
+//
+//   await parseMultipart( req, {
+//       boundary: boundaryOf( req.headers[ 'content-type' ] ),
+//       onPart: async ( { name, filename, contentType } ) => ( {
+//           write: async ( chunk ) => { ... },
+//           end: async () => { ... },
+//       } ),
+//   } );
+//
+// onPart, write and end are awaited, so a slow disk slows the reading down instead of filling memory.
+// Anything they throw stops the parsing and is thrown by parseMultipart.
+
+const HEADER_END = Buffer.from( '\r\n\r\n' );
+
+// 'multipart/form-data; boundary=----abc' -> '----abc', null for any other content type
+const boundaryOf = ( contentType = '' ) => {
+    const match = /^multipart\/form-data\s*;(?:.*;)?\s*boundary=(?:"([^"]{1,70})"|([^\s;]{1,70}))/i.exec( contentType );
+
+    return match ? match[ 1 ] || match[ 2 ] : null;
+};
+
+// 'C:\fakepath\..\my photo?.png' -> 'my photo_.png'. Only the last path segment is kept, and nothing
+// that could mean something in a path, a header or a shell
+const sanitizeFilename = ( filename ) => {
+    const clean = path.posix.basename( filename.replace( /\\/g, '/' ) )
+        .replace( /[^\w.\- ]+/g, '_' )
+        .replace( /^[.\s]+/, '' )
+        .trim()
+        .slice( -255 );
+
+    return clean || 'file';
+};
+
+// 'form-data; name="avatar"; filename="me.png"' -> { name: 'avatar', filename: 'me.png' }
+const parseDisposition = ( value ) => {
+    const param = ( key ) => {
+        const match = new RegExp( `;\\s*${ key }="((?:[^"\\\\]|\\\\.)*)"`, 'i' ).exec( value ) || new RegExp( `;\\s*${ key }=([^;\\s]+)`, 'i' ).exec( value );
+
+        return match ? match[ 1 ].replace( /\\(.)/g, '$1' ) : undefined;
+    };
+
+    if ( !/^form-data\s*(;|$)/i.test( value ) ) {
+        throw new ValidationError( 'Every multipart part needs a Content-Disposition: form-data header' );
+    }
+
+    return { name: param( 'name' ), filename: param( 'filename' ) };
+};
+
+const parseHeaders = ( raw ) => {
+    const headers = {};
+
+    for ( const line of raw.split( '\r\n' ) ) {
+        const colon = line.indexOf( ':' );
+
+        if ( colon > 0 ) {
+            headers[ line.slice( 0, colon ).trim().toLowerCase() ] = line.slice( colon + 1 ).trim();
+        }
+    }
+
+    return headers;
+};
+
+const parseMultipart = async ( stream, { boundary, onPart, maxParts = 100, maxHeaderSize = 8 * 1024 } ) => {
+    const delimiter = Buffer.from( `\r\n--${ boundary }` );
+
+    // the first boundary has no CRLF in front of it, adding one lets it be found like all the others
+    let buffer = Buffer.from( '\r\n' );
+    let state = 'preamble';
+    let part = null;
+    let parts = 0;
+
+    // One step of the state machine. Returns false when it needs more data
+    const step = async () => {
+        switch ( state ) {
+            case 'preamble': {
+                const index = buffer.indexOf( delimiter );
+
+                if ( index === -1 ) {
+                    buffer = buffer.subarray( Math.max( buffer.length - delimiter.length + 1, 0 ) );
+                    return false;
+                }
+
+                buffer = buffer.subarray( index + delimiter.length );
+                state = 'boundary';
+                return true;
+            }
+
+            // after a boundary: '\r\n' starts the next part, '--' ends the body
+            case 'boundary': {
+                if ( buffer.length < 2 ) {
+                    return false;
+                }
+
+                const next = buffer.toString( 'latin1', 0, 2 );
+
+                if ( next === '--' ) {
+                    state = 'end';
+                    return false;
+                }
+
+                if ( next !== '\r\n' ) {
+                    throw new ValidationError( 'Malformed multipart body' );
+                }
+
+                buffer = buffer.subarray( 2 );
+                state = 'headers';
+                return true;
+            }
+
+            case 'headers': {
+                const index = buffer.indexOf( HEADER_END );
+
+                if ( index === -1 ) {
+                    if ( buffer.length > maxHeaderSize ) {
+                        throw new ValidationError( 'Multipart part headers are too large' );
+                    }
+
+                    return false;
+                }
+
+                parts += 1;
+
+                if ( parts > maxParts ) {
+                    throw new ValidationError( `Too many multipart parts, at most ${ maxParts }` );
+                }
+
+                const headers = parseHeaders( buffer.toString( 'utf8', 0, index ) );
+                const { name, filename } = parseDisposition( headers[ 'content-disposition' ] || '' );
+
+                buffer = buffer.subarray( index + HEADER_END.length );
+                part = await onPart( { name, filename, contentType: headers[ 'content-type' ], headers } );
+                state = 'body';
+                return true;
+            }
+
+            // everything up to the next delimiter belongs to the part. The end of the buffer is kept back,
+            // it could be the start of a delimiter that is cut in two
+            case 'body': {
+                const index = buffer.indexOf( delimiter );
+
+                if ( index === -1 ) {
+                    const safe = buffer.length - delimiter.length + 1;
+
+                    if ( safe > 0 ) {
+                        await part.write( buffer.subarray( 0, safe ) );
+                        buffer = buffer.subarray( safe );
+                    }
+
+                    return false;
+                }
+
+                if ( index > 0 ) {
+                    await part.write( buffer.subarray( 0, index ) );
+                }
+
+                await part.end();
+                part = null;
+                buffer = buffer.subarray( index + delimiter.length );
+                state = 'boundary';
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    };
+
+    // destroyOnReturn: false, so an error does not destroy the request and the error response can still be sent
+    for await ( const chunk of stream.iterator( { destroyOnReturn: false } ) ) {
+        if ( state === 'end' ) {
+            continue; // the epilogue after the last boundary is ignored
+        }
+
+        buffer = Buffer.concat( [ buffer, chunk ] );
+
+        while ( await step() );
+    }
+
+    if ( state !== 'end' ) {
+        throw new ValidationError( 'The multipart body ended too early' );
+    }
+};
+
+exports.boundaryOf = boundaryOf;
+
+exports.sanitizeFilename = sanitizeFilename;
+
+exports.parseMultipart = parseMultipart;
@@ -0,0 +1,262 @@
+const http = require( 'http' );
+
+// Builds the OpenAPI 3 document from the routers in routes/index.js. Nothing is written by hand:
+// paths and methods come from the routers, request schemas from the validate() middlewares,
+// and 403 details from requireRole() / requireSelfOrRole().
+
+// Joi's describe() output -> JSON Schema (the subset OpenAPI 3.0 understands)
+const toJsonSchema = ( description ) => {
+    const { type, flags = {}, rules = [], allow } = description;
+    const schema = {};
+
+    const rule = ( name ) => rules.find( ( item ) => item.name === name );
+
+    switch ( type ) {
+        case 'string':
+            schema.type = 'string';
+
+            if ( rule( 'min' ) ) schema.minLength = rule( 'min' ).args.limit;
+            if ( rule( 'max' ) ) schema.maxLength = rule( 'max' ).args.limit;
+            if ( rule( 'email' ) ) schema.format = 'email';
+            if ( rule( 'pattern' ) ) schema.pattern = String( rule( 'pattern' ).args.regex ).replace( /^\/|\/[a-z]*$/g, '' );
+            break;
+        case 'number':
+            schema.type = rule( 'integer' ) ? 'integer' : 'number';
+
+            if ( rule( 'min' ) ) schema.minimum = rule( 'min' ).args.limit;
+            if ( rule( 'max' ) ) schema.maximum = rule( 'max' ).args.limit;
+            if ( rule( 'sign' )?.args.sign === 'positive' ) schema.minimum = Math.max( schema.minimum ?? 1, 1 );
+            break;
+        case 'boolean':
+            schema.type = 'boolean';
+            break;
+        case 'date':
+            schema.type = 'string';
+            schema.format = 'date-time';
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = description.items?.length ? toJsonSchema( description.items[ 0 ] ) : {};
+            break;
+        case 'object': {
+            const keys = Object.entries( description.keys || {} )
+                .filter( ( [ , key ] ) => key.flags?.presence !== 'forbidden' );
+
+            schema.type = 'object';
+            schema.properties = Object.fromEntries( keys.map( ( [ name, key ] ) => [ name, toJsonSchema( key ) ] ) );
+
+            const required = keys.filter( ( [ , key ] ) => key.flags?.presence === 'required' ).map( ( [ name ] ) => name );
+
+            if ( required.length ) schema.required = required;
+            if ( rule( 'min' ) ) schema.minProperties = rule( 'min' ).args.limit;
+            break;
+        }
+        default:
+            break;
+    }
+
+    if ( flags.only && allow ) schema.enum = allow;
+    if ( flags.default !== undefined ) schema.default = flags.default;
+    if ( flags.description ) schema.description = flags.description;
+
+    return schema;
+};
+
+// One OpenAPI parameter per key of a params, query or headers schema
+const toParameters = ( schema, location ) => {
+    const { properties = {}, required = [] } = toJsonSchema( schema.describe() );
+
+    return Object.entries( properties ).map( ( [ name, property ] ) => ( {
+        name,
+        in: location,
+        required: location === 'path' || required.includes( name ),
+        schema: property,
+    } ) );
+};
+
+// 'getAllUsers' -> 'Get all users'
+const toSummary = ( name ) => {
+    const words = name.replace( /([A-Z])/g, ' $1' ).toLowerCase();
+
+    return words.charAt( 0 ).toUpperCase() + words.slice( 1 );
+};
+
+const problem = ( status ) => ( {
+    description: http.STATUS_CODES[ status ],
+    content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+} );
+
+// 'image/png' -> a file, 'text/plain' -> a string, 'application/json' -> an object
+const contentSchema = ( type ) => {
+    if ( type.endsWith( 'json' ) ) return { type: 'object' };
+    if ( type.startsWith( 'text/' ) ) return { type: 'string' };
+
+    return { type: 'string', format: 'binary' };
+};
+
+const SUCCESS = { get: 200, post: 201, put: 200, patch: 200, delete: 204 };
+
+// routerHandlers: router.use() middlewares registered before the route
+const buildOperation = ( { route, method, mount, routerHandlers } ) => {
+    const handlers = [ ...routerHandlers, ...route.stack.map( ( layer ) => layer.handle ) ];
+    const schemas = Object.assign( {}, ...handlers.map( ( handle ) => handle.schemas ).filter( Boolean ) );
+    const access = handlers.map( ( handle ) => handle.access ).find( Boolean );
+    const upload = handlers.map( ( handle ) => handle.upload ).find( Boolean );
+    const docs = Object.assign( {}, ...handlers.map( ( handle ) => handle.docs ).filter( Boolean ) );
+    const controllerName = Object.keys( mount.controller ).find( ( name ) => mount.controller[ name ] === handlers[ handlers.length - 1 ] );
+    // a handler used by two routes (PUT and PATCH) needs another operationId on one of them
+    const operationId = docs.operationId || controllerName;
+    const pathKeys = [ ...route.path.matchAll( /:(\w+)/g ) ].map( ( match ) => match[ 1 ] );
+
+    const parameters = [
+        ...( schemas.params
+            ? toParameters( schemas.params, 'path' )
+            : pathKeys.map( ( name ) => ( { name, in: 'path', required: true, schema: { type: 'string' } } ) ) ),
+        ...( schemas.query ? toParameters( schemas.query, 'query' ) : [] ),
+        ...( schemas.headers ? toParameters( schemas.headers, 'header' ) : [] ),
+    ];
+
+    const success = docs.status || SUCCESS[ method ];
+    const operation = {
+        tags: [ mount.tag ],
+        summary: docs.summary || ( operationId ? toSummary( operationId ) : undefined ),
+        operationId,
+        parameters: parameters.length ? parameters : undefined,
+        responses: {
+            [ success ]: { description: http.STATUS_CODES[ success ] },
+        },
+    };
+
+    // the media types of the success response, e.g. an image
+    if ( docs.content ) {
+        operation.responses[ success ].content = Object.fromEntries( docs.content.map( ( type ) => [ type, { schema: contentSchema( type ) } ] ) );
+    }
+
+    // responses that are not errors, e.g. 503 from /readyz
+    for ( const [ status, description ] of Object.entries( docs.responses || {} ) ) {
+        operation.responses[ status ] = { description };
+    }
+
+    if ( access ) {
+        const who = access.roles.join( ' or ' );
+        operation.description = access.self ? `Allowed for ${ who }, or the user itself.` : `Allowed for ${ who }.`;
+    }
+
+    if ( schemas.body ) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: toJsonSchema( schemas.body.describe() ) } },
+        };
+    }
+
+    // upload() from middleware/Upload.js
+    if ( upload ) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [ upload.field ],
+                        properties: { [ upload.field ]: { type: 'string', format: 'binary' } },
+                    },
+                },
+            },
+        };
+        operation.description = [ operation.description, `Up to ${ upload.maxFiles } file(s) of at most ${ upload.maxFileSize } bytes${ upload.types ? `: ${ upload.types.join( ', ' ) }` : '' }.` ].filter( Boolean ).join( ' ' );
+    }
+
+    if ( mount.authenticated ) {
+        operation.security = [ { bearerAuth: [] } ];
+    }
+
+    // checkUserAgent and the global rate limit run on every route, except the operational ones (/healthz, /metrics)
+    const errors = [
+        schemas.headers || schemas.params || schemas.query || schemas.body || upload ? 400 : null,
+        mount.authenticated ? 401 : null,
+        mount.operational ? null : 403,
+        pathKeys.length ? 404 : null,
+        ...( docs.errors || [] ),
+        ...( upload ? [ 413, 415 ] : [] ),
+        mount.operational ? null : 429,
+    ].filter( Boolean );
+
+    for ( const status of errors ) {
+        operation.responses[ status ] = problem( status );
+    }
+
+    return operation;
+};
+
+// For what the routes cannot tell: router.post( '/login', describe( { status: 200 } ), ... )
+// Accepts summary, operationId (instead of the controller function's name), status (the success
+// status, when it is not the usual one for the method), content (the success media types when
+// it is not JSON, e.g. [ 'image/png' ]), responses (other statuses that are not errors,
+// e.g. { 503: 'Not ready' }) and errors (extra error statuses, e.g. [ 409 ])
+exports.describe = ( docs ) => {
+    const middleware = ( req, res, next ) => next();
+
+    middleware.docs = docs;
+
+    return middleware;
+};
+
+exports.buildOpenApiSpec = ( mounts, { title, version } ) => {
+    const paths = {};
+
+    for ( const mount of mounts ) {
+        const routerHandlers = [];
+
+        for ( const layer of mount.router.stack ) {
+            if ( !layer.route ) {
+                routerHandlers.push( layer.handle );
+                continue;
+            }
+
+            // Express ':id' -> OpenAPI '{id}', and router.get( '/' ) is the mount path itself
+            const path = `${ mount.path }${ layer.route.path === '/' ? '' : layer.route.path }`.replace( /:(\w+)/g, '{$1}' );
+
+            for ( const method of Object.keys( layer.route.methods ) ) {
+                paths[ path ] = paths[ path ] || {};
+                paths[ path ][ method ] = buildOperation( { route: layer.route, method, mount, routerHandlers } );
+            }
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version },
+        tags: [ ...new Set( mounts.map( ( { tag } ) => tag ) ) ].map( ( name ) => ( { name } ) ),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            },
+            schemas: {
+                // the body of every error, see middleware/ErrorHandler.js
+                Problem: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string' },
+                        title: { type: 'string' },
+                        status: { type: 'integer' },
+                        detail: { type: 'string' },
+                        instance: { type: 'string' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    in: { type: 'string' },
+                                    message: { type: 'string' },
+                                    path: { type: 'string' },
+                                    type: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+};
@@ -0,0 +1,26 @@
+const crypto = require( 'crypto' );
+const { promisify } = require( 'util' );
+
+const scrypt = promisify( crypto.scrypt );
+const KEY_LENGTH = 64;
+
+// Stored as 'scrypt$<salt>$<hash>', both hex encoded
+exports.hashPassword = async ( password ) => {
+    const salt = crypto.randomBytes( 16 ).toString( 'hex' );
+    const hash = await scrypt( password, salt, KEY_LENGTH );
+
+    return `scrypt$${ salt }$${ hash.toString( 'hex' ) }`;
+};
+
+exports.verifyPassword = async ( password, stored ) => {
+    const [ algorithm, salt, hash ] = String( stored ).split( '$' );
+
+    if ( algorithm !== 'scrypt' || !salt || !hash ) {
+        return false;
+    }
+
+    const expected = Buffer.from( hash, 'hex' );
+    const actual = await scrypt( password, salt, expected.length );
+
+    return crypto.timingSafeEqual( expected, actual );
+};
@@ -0,0 +1,79 @@
+// Rate limit state. Any store with these two async methods can be passed to rateLimit(),
+// e.g. one backed by a shared database so several server processes count together:
+//   increment( key, windowMs )            -> { count, resetAt }
+//   consume( key, { capacity, refillPerSecond } ) -> { allowed, remaining, resetAt }
+// resetAt is a ms timestamp.
+
+class MemoryStore {
+    constructor( { cleanupInterval = 60 * 1000 } = {} ) {
+        this.windows = new Map();
+        this.buckets = new Map();
+
+        // drop entries nobody has touched for a while, so the maps do not grow forever
+        this.cleanup = setInterval( () => this.prune(), cleanupInterval );
+        this.cleanup.unref();
+    }
+
+    // Fixed window: count hits until the window ends, then start again from zero
+    async increment( key, windowMs ) {
+        const now = Date.now();
+        let entry = this.windows.get( key );
+
+        if ( !entry || entry.resetAt <= now ) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.windows.set( key, entry );
+        }
+
+        entry.count += 1;
+
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    // Token bucket: every request takes a token, tokens come back at refillPerSecond up to capacity
+    async consume( key, { capacity, refillPerSecond } ) {
+        const now = Date.now();
+        const bucket = this.buckets.get( key ) || { tokens: capacity, updatedAt: now };
+
+        bucket.tokens = Math.min( capacity, bucket.tokens + ( ( now - bucket.updatedAt ) / 1000 ) * refillPerSecond );
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+
+        if ( allowed ) {
+            bucket.tokens -= 1;
+        }
+
+        this.buckets.set( key, bucket );
+
+        // when the next token is available (allowed: when the bucket is full again)
+        const missing = allowed ? capacity - bucket.tokens : 1 - bucket.tokens;
+
+        return {
+            allowed,
+            remaining: Math.floor( bucket.tokens ),
+            resetAt: now + Math.ceil( ( missing / refillPerSecond ) * 1000 ),
+        };
+    }
+
+    prune() {
+        const now = Date.now();
+
+        for ( const [ key, entry ] of this.windows ) {
+            if ( entry.resetAt <= now ) {
+                this.windows.delete( key );
+            }
+        }
+
+        for ( const [ key, bucket ] of this.buckets ) {
+            if ( now - bucket.updatedAt > 60 * 60 * 1000 ) {
+                this.buckets.delete( key );
+            }
+        }
+    }
+
+    close() {
+        clearInterval( this.cleanup );
+    }
+}
+
+exports.MemoryStore = MemoryStore;
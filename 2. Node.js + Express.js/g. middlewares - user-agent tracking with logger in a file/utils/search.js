@@ -0,0 +1,51 @@
+// Full-text search over a few fields of in-memory records:
+//
+//   search( posts, 'node expr', { title: 3, body: 1 } )
+//
+// Every word of the query has to be found in one of the fields, as a whole word or the start of one
+// ('expr' finds 'Express'). Case and accents do not matter. The best matches come first: a word in a
+// field with a higher weight counts more, and a whole word counts twice as much as a prefix.
+
+// 'Café, Node.js!' -> [ 'cafe', 'node', 'js' ]. Letters and digits of any language
+const tokenize = ( text ) => String( text )
+    .normalize( 'NFKD' )
+    .replace( /\p{M}/gu, '' ) // accents, split off by NFKD
+    .toLowerCase()
+    .match( /[\p{L}\p{N}]+/gu ) || [];
+
+const termScore = ( term, words, weights ) => {
+    let score = 0;
+
+    for ( const [ field, weight ] of Object.entries( weights ) ) {
+        for ( const word of words[ field ] ) {
+            if ( word === term ) {
+                score += weight * 2;
+            } else if ( word.startsWith( term ) ) {
+                score += weight;
+            }
+        }
+    }
+
+    return score;
+};
+
+// The matching items, best first. Items with the same score keep their order
+const search = ( items, query, weights ) => {
+    const terms = [ ...new Set( tokenize( query ) ) ];
+
+    const matches = items.map( ( item ) => {
+        const words = Object.fromEntries( Object.keys( weights ).map( ( field ) => [ field, tokenize( item[ field ] ?? '' ) ] ) );
+        const scores = terms.map( ( term ) => termScore( term, words, weights ) );
+
+        return scores.includes( 0 ) ? null : { item, score: scores.reduce( ( sum, score ) => sum + score, 0 ) };
+    } );
+
+    return matches
+        .filter( Boolean )
+        .sort( ( a, b ) => b.score - a.score )
+        .map( ( { item } ) => item );
+};
+
+exports.tokenize = tokenize;
+
+exports.search = search;
@@ -0,0 +1,55 @@
+const crypto = require( 'crypto' );
+const config = require( '../config' );
+const log = require( './log' );
+
+// JWT (HS256) signed with TOKEN_SECRET. Without one (only allowed outside production),
+// a random secret is used and tokens stop working after a restart
+let secret = config.tokenSecret;
+
+if ( !secret ) {
+    secret = crypto.randomBytes( 32 ).toString( 'hex' );
+    log.warn( 'TOKEN_SECRET is not set, using a random secret for this run' );
+}
+
+const encode = ( value ) => Buffer.from( JSON.stringify( value ) ).toString( 'base64url' );
+
+const sign = ( data ) => crypto.createHmac( 'sha256', secret ).update( data ).digest( 'base64url' );
+
+// expiresIn is in seconds
+exports.signToken = ( payload, { expiresIn = 3600 } = {} ) => {
+    const now = Math.floor( Date.now() / 1000 );
+    const data = `${ encode( { alg: 'HS256', typ: 'JWT' } ) }.${ encode( { ...payload, iat: now, exp: now + expiresIn } ) }`;
+
+    return `${ data }.${ sign( data ) }`;
+};
+
+// Returns the payload, or throws if the token is malformed, tampered with or expired
+exports.verifyToken = ( token ) => {
+    const parts = String( token ).split( '.' );
+
+    if ( parts.length !== 3 ) {
+        throw new Error( 'Malformed token' );
+    }
+
+    const [ header, payload, signature ] = parts;
+    const expected = Buffer.from( sign( `${ header }.${ payload }` ) );
+    const actual = Buffer.from( signature );
+
+    if ( expected.length !== actual.length || !crypto.timingSafeEqual( expected, actual ) ) {
+        throw new Error( 'Invalid token signature' );
+    }
+
+    let claims;
+
+    try {
+        claims = JSON.parse( Buffer.from( payload, 'base64url' ).toString() );
+    } catch {
+        throw new Error( 'Malformed token' );
+    }
+
+    if ( typeof claims.exp !== 'number' || claims.exp <= Math.floor( Date.now() / 1000 ) ) {
+        throw new Error( 'Token has expired' );
+    }
+
+    return claims;
+};
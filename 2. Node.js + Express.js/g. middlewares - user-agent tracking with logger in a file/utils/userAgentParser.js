@@ -0,0 +1,75 @@
+// A small User-Agent parser, good enough for analytics. Order matters: the first match wins
+
+const TOOLS = [
+    [ 'curl', /curl\// ],
+    [ 'wget', /wget/i ],
+    [ 'python-requests', /python-requests/i ],
+    [ 'Go-http-client', /Go-http-client/i ],
+    [ 'Java', /Java\//i ],
+    [ 'sqlmap', /sqlmap/i ],
+    [ 'nmap', /nmap/i ],
+    [ 'Nikto', /Nikto/i ],
+    [ 'HeadlessChrome', /HeadlessChrome/ ],
+    [ 'PhantomJS', /PhantomJS/ ],
+    [ 'Postman', /PostmanRuntime/ ],
+    [ 'Thunder Client', /Thunder Client/ ],
+    [ 'Insomnia', /insomnia/i ],
+    [ 'axios', /axios\//i ],
+    [ 'node-fetch', /node-fetch|undici/i ],
+    [ 'Googlebot', /Googlebot/i ],
+    [ 'Bingbot', /bingbot/i ],
+    [ 'Other bot', /bot|crawler|spider|crawling/i ],
+];
+
+const BROWSERS = [
+    [ 'Edge', /Edg(e|A|iOS)?\// ],
+    [ 'Opera', /OPR\/|Opera/ ],
+    [ 'Samsung Internet', /SamsungBrowser/ ],
+    [ 'Chrome', /Chrome\/|CriOS\// ],
+    [ 'Firefox', /Firefox\/|FxiOS\// ],
+    [ 'Safari', /Version\/[\d.]+.*Safari\// ],
+    [ 'Internet Explorer', /MSIE |Trident\// ],
+];
+
+const OPERATING_SYSTEMS = [
+    [ 'iOS', /iPhone|iPad|iPod/ ],
+    [ 'Android', /Android/ ],
+    [ 'Windows', /Windows/ ],
+    [ 'ChromeOS', /CrOS/ ],
+    [ 'macOS', /Mac OS X|Macintosh/ ],
+    [ 'Linux', /Linux/ ],
+];
+
+const firstMatch = ( list, userAgent ) => {
+    const match = list.find( ( [ , pattern ] ) => pattern.test( userAgent ) );
+
+    return match ? match[ 0 ] : null;
+};
+
+const deviceOf = ( userAgent ) => {
+    if ( /iPad|Tablet/i.test( userAgent ) || ( /Android/.test( userAgent ) && !/Mobile/.test( userAgent ) ) ) {
+        return 'tablet';
+    }
+
+    if ( /Mobi|iPhone|iPod/.test( userAgent ) ) {
+        return 'mobile';
+    }
+
+    return 'desktop';
+};
+
+// { browser, os, device: 'desktop' | 'mobile' | 'tablet' | 'bot' | 'unknown', tool }
+exports.parseUserAgent = ( userAgent ) => {
+    if ( !userAgent ) {
+        return { browser: null, os: null, device: 'unknown', tool: null };
+    }
+
+    const tool = firstMatch( TOOLS, userAgent );
+
+    return {
+        browser: tool ? null : firstMatch( BROWSERS, userAgent ),
+        os: firstMatch( OPERATING_SYSTEMS, userAgent ),
+        device: tool ? 'bot' : deviceOf( userAgent ),
+        tool,
+    };
+};
@@ -0,0 +1,104 @@
+const fs = require( 'fs' );
+const path = require( 'path' );
+const log = require( './log' );
+
+const rulesFile = path.join( __dirname, '../config/userAgentRules.json' );
+const MODES = [ 'block', 'monitor' ];
+
+// Patterns are strings in the JSON file and always match case-insensitively
+const compilePatterns = ( patterns = [], where ) => {
+    if ( !Array.isArray( patterns ) ) {
+        throw new Error( `${ where } must be an array of patterns` );
+    }
+
+    return patterns.map( ( pattern ) => new RegExp( pattern, 'i' ) );
+};
+
+const compileMode = ( mode, where ) => {
+    if ( mode !== undefined && !MODES.includes( mode ) ) {
+        throw new Error( `${ where } must be one of ${ MODES.join( ', ' ) }` );
+    }
+
+    return mode;
+};
+
+// Throws with a readable message if the file content is not a valid rule set
+const compileRules = ( config ) => ( {
+    mode: compileMode( config.mode, 'mode' ) || 'block',
+    blockEmpty: config.blockEmpty !== false,
+    allow: compilePatterns( config.allow, 'allow' ),
+    deny: compilePatterns( config.deny, 'deny' ),
+    routes: ( config.routes || [] ).map( ( route, index ) => {
+        if ( typeof route.path !== 'string' || !route.path.startsWith( '/' ) ) {
+            throw new Error( `routes[${ index }].path must start with /` );
+        }
+
+        return {
+            path: route.path,
+            mode: compileMode( route.mode, `routes[${ index }].mode` ),
+            allow: compilePatterns( route.allow, `routes[${ index }].allow` ),
+            deny: compilePatterns( route.deny, `routes[${ index }].deny` ),
+        };
+    } ),
+} );
+
+let rules = null;
+
+const load = () => {
+    try {
+        rules = compileRules( JSON.parse( fs.readFileSync( rulesFile, 'utf8' ) ) );
+        log.info( `User-Agent rules loaded from ${ rulesFile }` );
+    } catch ( error ) {
+        // keep the last good rules. On the very first load there are none, so fail loudly
+        if ( !rules ) {
+            throw new Error( `Invalid User-Agent rules in ${ rulesFile }: ${ error.message }` );
+        }
+
+        log.error( `Invalid User-Agent rules in ${ rulesFile }, keeping the previous ones: ${ error.message }` );
+    }
+};
+
+const matchesRoute = ( route, requestPath ) => requestPath === route.path || requestPath.startsWith( `${ route.path.replace( /\/$/, '' ) }/` );
+
+// Decides what to do with a User-Agent on a path.
+// Returns { action: 'allow' | 'block', monitor, reason }. In monitor mode a match is reported but action stays 'allow'
+exports.evaluate = ( userAgent, requestPath ) => {
+    if ( !rules ) {
+        load();
+    }
+
+    const routes = rules.routes.filter( ( route ) => matchesRoute( route, requestPath ) );
+    const mode = routes.reduce( ( current, route ) => route.mode || current, rules.mode );
+    const allow = [ ...rules.allow, ...routes.flatMap( ( route ) => route.allow ) ];
+    const deny = [ ...rules.deny, ...routes.flatMap( ( route ) => route.deny ) ];
+
+    let reason = null;
+
+    if ( !userAgent ) {
+        reason = rules.blockEmpty ? 'empty User-Agent' : null;
+    } else if ( !allow.some( ( pattern ) => pattern.test( userAgent ) ) ) {
+        const match = deny.find( ( pattern ) => pattern.test( userAgent ) );
+        reason = match ? `matches ${ match }` : null;
+    }
+
+    if ( !reason ) {
+        return { action: 'allow', monitor: false, reason: null };
+    }
+
+    return mode === 'monitor'
+        ? { action: 'allow', monitor: true, reason }
+        : { action: 'block', monitor: false, reason };
+};
+
+// Reload the rules whenever the file changes, no restart needed
+exports.watch = () => {
+    if ( !rules ) {
+        load();
+    }
+
+    fs.watchFile( rulesFile, { interval: 1000 }, load );
+};
+
+exports.unwatch = () => {
+    fs.unwatchFile( rulesFile, load );
+};